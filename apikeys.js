@@ -0,0 +1,126 @@
+// apikeys.js — scoped API keys (stored hashed) + Express auth middleware
+
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { log } from "./log.js";
+
+// ---------- Config ----------
+const API_KEYS_FILE = path.resolve(
+  process.env.API_KEYS_FILE || path.join(process.env.DATA_DIR || "data", "api-keys.json")
+);
+// Bootstrap key with the admin scope (not stored); use it to create the real keys.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+
+export const SCOPES = ["read-schedule", "write-capacity", "admin"];
+
+const sha256 = (s) => createHash("sha256").update(String(s)).digest();
+
+// ---------- Store ----------
+async function readStore() {
+  try {
+    return JSON.parse(await fs.readFile(API_KEYS_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function writeStore(keys) {
+  await fs.mkdir(path.dirname(API_KEYS_FILE), { recursive: true });
+  const tmp = API_KEYS_FILE + ".tmp";
+  await fs.writeFile(tmp, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  await fs.rename(tmp, API_KEYS_FILE);
+}
+
+const publicKey = ({ hash, ...rec }) => rec;
+
+// ---------- Public API ----------
+// Returns the plaintext key exactly once; only its SHA-256 is stored.
+export async function createApiKey({ name, scopes, accounts = [] }) {
+  const bad = (scopes || []).filter((s) => !SCOPES.includes(s));
+  if (!name) throw new Error("name is required.");
+  if (!scopes?.length || bad.length) throw new Error(`scopes must be a non-empty subset of: ${SCOPES.join(", ")}.`);
+
+  const id = randomBytes(4).toString("hex");
+  const key = `fpk_${id}_${randomBytes(24).toString("base64url")}`;
+  const rec = {
+    id,
+    name,
+    scopes,
+    accounts: accounts.filter(Boolean),
+    hash: sha256(key).toString("hex"),
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  const keys = await readStore();
+  keys.push(rec);
+  await writeStore(keys);
+  return { key, apiKey: publicKey(rec) };
+}
+
+export async function listApiKeys() {
+  return (await readStore()).map(publicKey);
+}
+
+export async function revokeApiKey(id) {
+  const keys = await readStore();
+  const rec = keys.find((k) => k.id === id);
+  if (!rec) return null;
+  rec.revokedAt ||= new Date().toISOString();
+  await writeStore(keys);
+  return publicKey(rec);
+}
+
+// → { id, name, scopes, accounts } or null
+export async function verifyApiKey(key) {
+  if (!key) return null;
+  if (ADMIN_API_KEY && key.length === ADMIN_API_KEY.length && timingSafeEqual(Buffer.from(key), Buffer.from(ADMIN_API_KEY))) {
+    return { id: "bootstrap", name: "ADMIN_API_KEY", scopes: ["admin"], accounts: [] };
+  }
+  const id = /^fpk_([0-9a-f]{8})_/.exec(key)?.[1];
+  if (!id) return null;
+  const rec = (await readStore()).find((k) => k.id === id);
+  if (!rec || rec.revokedAt) return null;
+  if (!timingSafeEqual(sha256(key), Buffer.from(rec.hash, "hex"))) return null;
+  return { id: rec.id, name: rec.name, scopes: rec.scopes, accounts: rec.accounts || [] };
+}
+
+export const hasScope = (apiKey, scope) => !!apiKey && (apiKey.scopes.includes("admin") || apiKey.scopes.includes(scope));
+
+// Keys limited to certain accounts may only act through those stored aliases.
+export const canUseAccount = (apiKey, account) =>
+  !apiKey?.accounts?.length || (!!account && apiKey.accounts.includes(account));
+
+// ---------- Middleware ----------
+// Accepts `Authorization: Bearer <key>` or `X-API-Key: <key>`; logs which key made each request.
+export async function authenticate(req, res, next) {
+  const header = req.get("authorization") || "";
+  const key = header.startsWith("Bearer ") ? header.slice(7).trim() : req.get("x-api-key");
+  let apiKey = null;
+  try {
+    apiKey = await verifyApiKey(key);
+  } catch (err) {
+    return res.status(500).json({ ok: false, code: "AUTH_UNAVAILABLE", error: err?.message || String(err) });
+  }
+  if (!apiKey) {
+    return res
+      .status(401)
+      .json({ ok: false, code: "UNAUTHORIZED", error: key ? "Invalid or revoked API key." : "Missing API key." });
+  }
+  req.apiKey = apiKey;
+  const started = Date.now();
+  res.on("finish", () =>
+    log(`[API] ${req.method} ${req.originalUrl} key=${apiKey.id} (${apiKey.name}) → ${res.statusCode}`, {
+      keyId: apiKey.id,
+      status: res.statusCode,
+      ms: Date.now() - started
+    })
+  );
+  next();
+}
+
+export const requireScope = (scope) => (req, res, next) =>
+  hasScope(req.apiKey, scope)
+    ? next()
+    : res.status(403).json({ ok: false, code: "FORBIDDEN", error: `API key lacks the "${scope}" scope.` });
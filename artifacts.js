@@ -0,0 +1,116 @@
+// artifacts.js — per-run screenshots, DOM snapshots and page/network logs
+
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import { log } from "./log.js";
+
+// ---------- Config ----------
+export const ARTIFACTS_DIR = path.resolve(
+  process.env.ARTIFACTS_DIR || path.join(process.env.DATA_DIR || "data", "artifacts")
+);
+const ARTIFACT_RETENTION_HOURS = Number(process.env.ARTIFACT_RETENTION_HOURS || 72);
+// "failure" (default): capture only when a run fails; "steps": also after every step(); "off"
+export const ARTIFACTS_MODE = process.env.ARTIFACTS_MODE || "failure";
+
+// Run ids are job ids (UUIDs) or "cli-<timestamp>"; file names are what the recorder writes.
+const RUN_ID = /^(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|cli-\d+)$/i;
+const SAFE_NAME = /^[\w.-]+$/;
+const slug = (s) =>
+  String(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+
+// ---------- Recorder ----------
+export function createRecorder(runId, mode = ARTIFACTS_MODE) {
+  const dir = path.join(ARTIFACTS_DIR, runId);
+  const consoleLog = [];
+  const networkLog = [];
+  const files = [];
+  let seq = 0;
+  let failed = false;
+
+  const write = async (name, data) => {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, name), data);
+    if (!files.includes(name)) files.push(name);
+  };
+
+  return {
+    runId,
+    enabled: mode !== "off",
+    captureSteps: mode === "steps",
+
+    logConsole(entry) {
+      consoleLog.push({ at: new Date().toISOString(), ...entry });
+    },
+    logNetwork(entry) {
+      networkLog.push({ at: new Date().toISOString(), ...entry });
+    },
+
+    // Full-page screenshot + HTML; never throws (the page may already be gone).
+    async capture(page, label, { failure = false } = {}) {
+      if (failure) failed = true;
+      if (mode === "off" || !page || page.isClosed()) return;
+      const base = `${String(++seq).padStart(2, "0")}-${slug(label)}`;
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await page.screenshot({ path: path.join(dir, base + ".png"), fullPage: true });
+        files.push(base + ".png");
+      } catch (e) {
+        log("[ARTIFACTS] Screenshot failed:", e?.message || e);
+      }
+      try {
+        await write(base + ".html", await page.content());
+      } catch (e) {
+        log("[ARTIFACTS] HTML snapshot failed:", e?.message || e);
+      }
+    },
+
+    // Writes the console/network logs (failed or step-captured runs only) and
+    // returns [{ name, url }] for the API response.
+    async finish() {
+      if (mode === "off" || (!failed && !this.captureSteps)) return [];
+      await write("console.json", JSON.stringify(consoleLog, null, 2)).catch(() => {});
+      await write("network.json", JSON.stringify(networkLog, null, 2)).catch(() => {});
+      return files.map((name) => ({ name, url: `/runs/${runId}/artifacts/${name}` }));
+    }
+  };
+}
+
+// ---------- Lookup ----------
+// The run's directory, or null for anything that is not a run id (e.g. ".." out of ARTIFACTS_DIR).
+function runDir(runId) {
+  if (!RUN_ID.test(String(runId))) return null;
+  const dir = path.resolve(ARTIFACTS_DIR, runId);
+  return path.dirname(dir) === ARTIFACTS_DIR ? dir : null;
+}
+
+export function artifactPath(runId, name) {
+  const dir = runDir(runId);
+  if (!dir || !SAFE_NAME.test(name) || name === "." || name === "..") return null;
+  const file = path.resolve(dir, name);
+  return path.dirname(file) === dir && existsSync(file) ? file : null;
+}
+
+export async function listArtifacts(runId) {
+  const dir = runDir(runId);
+  if (!dir) return null;
+  const names = await fs.readdir(dir).catch(() => null);
+  return names && names.sort().map((name) => ({ name, url: `/runs/${runId}/artifacts/${name}` }));
+}
+
+// ---------- Retention ----------
+async function sweep() {
+  const cutoff = Date.now() - ARTIFACT_RETENTION_HOURS * 3600 * 1000;
+  const runs = await fs.readdir(ARTIFACTS_DIR).catch(() => []);
+  for (const run of runs) {
+    const dir = path.join(ARTIFACTS_DIR, run);
+    const st = await fs.stat(dir).catch(() => null);
+    if (st && st.mtimeMs < cutoff) await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+setInterval(sweep, 60 * 60 * 1000).unref();
+sweep();
@@ -0,0 +1,96 @@
+// credentials.js — portal accounts stored under an alias, encrypted at rest (AES-256-GCM)
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { registerSecret } from "./log.js";
+
+// ---------- Config ----------
+const ACCOUNTS_FILE = path.resolve(
+  process.env.ACCOUNTS_FILE || path.join(process.env.DATA_DIR || "data", "accounts.json")
+);
+export const ALIAS_RE = /^[a-z0-9][a-z0-9_-]{0,62}$/i;
+
+let key = null;
+function encryptionKey() {
+  if (key) return key;
+  const secret = process.env.FITPASS_CREDENTIALS_KEY;
+  if (!secret) throw new Error("FITPASS_CREDENTIALS_KEY is not set; stored accounts are unavailable.");
+  key = scryptSync(secret, "fitpass-credentials", 32);
+  return key;
+}
+
+// ---------- Crypto ----------
+function encrypt(obj) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(obj), "utf8"), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function decrypt({ iv, tag, data }) {
+  const decipher = createDecipheriv("aes-256-gcm", encryptionKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]);
+  return JSON.parse(plain.toString("utf8"));
+}
+
+// ---------- Store ----------
+// alias → record, without a prototype: aliases like "constructor" must not find inherited keys
+async function readStore() {
+  try {
+    return Object.assign(Object.create(null), JSON.parse(await fs.readFile(ACCOUNTS_FILE, "utf8")));
+  } catch (err) {
+    if (err.code === "ENOENT") return Object.create(null);
+    throw err;
+  }
+}
+
+async function writeStore(store) {
+  await fs.mkdir(path.dirname(ACCOUNTS_FILE), { recursive: true });
+  const tmp = ACCOUNTS_FILE + ".tmp";
+  await fs.writeFile(tmp, JSON.stringify(store, null, 2), { mode: 0o600 });
+  await fs.rename(tmp, ACCOUNTS_FILE);
+}
+
+// ---------- Public API ----------
+export async function saveAccount(alias, { email, password }) {
+  if (!ALIAS_RE.test(alias)) throw new Error(`Invalid account alias "${alias}".`);
+  const store = await readStore();
+  const now = new Date().toISOString();
+  store[alias] = {
+    secret: encrypt({ email, password }),
+    createdAt: store[alias]?.createdAt || now,
+    updatedAt: now
+  };
+  await writeStore(store);
+  registerSecret(password);
+  return { alias, email, createdAt: store[alias].createdAt, updatedAt: now };
+}
+
+// → { email, password } or null when the alias is unknown
+export async function getAccount(alias) {
+  const rec = (await readStore())[alias];
+  if (!rec) return null;
+  const creds = decrypt(rec.secret);
+  registerSecret(creds.password);
+  return creds;
+}
+
+export async function listAccounts() {
+  const store = await readStore();
+  return Object.entries(store).map(([alias, rec]) => ({
+    alias,
+    email: decrypt(rec.secret).email,
+    createdAt: rec.createdAt,
+    updatedAt: rec.updatedAt
+  }));
+}
+
+export async function deleteAccount(alias) {
+  const store = await readStore();
+  if (!store[alias]) return false;
+  delete store[alias];
+  await writeStore(store);
+  return true;
+}
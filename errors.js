@@ -0,0 +1,99 @@
+// errors.js — the error type runners throw, the stable error codes and the retry policy
+
+import { logWarn } from "./log.js";
+
+// ---------- Config ----------
+const RETRY_ATTEMPTS = Math.max(1, Number(process.env.RETRY_ATTEMPTS || 3)); // total tries per run
+const RETRY_BACKOFF_MS = Number(process.env.RETRY_BACKOFF_MS || 2000); // doubles after each try
+const RETRY_BACKOFF_MAX_MS = Number(process.env.RETRY_BACKOFF_MAX_MS || 30000);
+
+export class FitpassError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "FitpassError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// ---------- Codes ----------
+// code → HTTP status for API responses, and whether trying again may succeed (transient).
+// Clients branch on the code; the message stays free text.
+export const ERROR_CODES = {
+  INVALID_INPUT: { status: 400, transient: false },
+  UNKNOWN_FIELD: { status: 400, transient: false },
+  LOGIN_FAILED: { status: 401, transient: false },
+  UNKNOWN_ACCOUNT: { status: 404, transient: false },
+  NO_MATCH: { status: 404, transient: false },
+  AMBIGUOUS_MATCH: { status: 409, transient: false },
+  CAPACITY_CHANGED: { status: 409, transient: false },
+  SCOPE_NOT_OFFERED: { status: 409, transient: false },
+  INVALID_FIELD_VALUE: { status: 422, transient: false },
+  SAVE_REJECTED: { status: 422, transient: false },
+  INTERNAL: { status: 500, transient: false },
+  HTTP_UNSUPPORTED: { status: 501, transient: false },
+  CALENDAR_NOT_FOUND: { status: 502, transient: true },
+  DATE_NAVIGATION_FAILED: { status: 502, transient: true },
+  FIELD_NOT_FOUND: { status: 502, transient: false },
+  SAVE_NOT_CONFIRMED: { status: 502, transient: false },
+  PORTAL_UNAVAILABLE: { status: 502, transient: true },
+  BROWSER_LAUNCH_FAILED: { status: 503, transient: true },
+  BROWSER_UNAVAILABLE: { status: 503, transient: true },
+  BROWSER_CRASHED: { status: 503, transient: true },
+  INTERRUPTED: { status: 503, transient: false },
+  TIMEOUT: { status: 504, transient: true }
+};
+
+const NETWORK = /net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|fetch failed|socket hang up/i;
+const CRASHED = /Target closed|Session closed|Protocol error|browser has disconnected|Connection closed/i;
+
+// Errors that did not come with a code (Puppeteer, fetch, bugs) get one from their shape.
+export function errorCode(err) {
+  if (err instanceof FitpassError || ERROR_CODES[err?.code]) return err.code;
+  const text = `${err?.message || err} ${err?.cause?.code || ""}`;
+  if (err?.name === "TimeoutError" || err?.name === "AbortError") return "TIMEOUT";
+  if (NETWORK.test(text)) return "PORTAL_UNAVAILABLE";
+  if (CRASHED.test(text)) return "BROWSER_CRASHED";
+  return "INTERNAL";
+}
+
+export const isTransient = (code) => !!ERROR_CODES[code]?.transient;
+
+// HTTP status for a runner result: 200 when ok, else the code's status.
+export const httpStatus = (result) => (result?.ok ? 200 : ERROR_CODES[result?.code]?.status || 500);
+
+// { ok: false, error, code, ...details } — the shape every runner returns on failure.
+export const failure = (err) => ({
+  ok: false,
+  error: err?.message || String(err),
+  code: errorCode(err),
+  ...(err?.details || {})
+});
+
+// ---------- Retry ----------
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export const backoffMs = (attempt, base = RETRY_BACKOFF_MS) =>
+  Math.min(base * 2 ** (attempt - 1), RETRY_BACKOFF_MAX_MS);
+
+// Calls attempt(n) (which returns a result, never throws) until it succeeds, fails with a
+// non-transient code, `retryable(result)` says no, or MAX_ATTEMPTS is reached; the last result
+// gets `attempts`.
+export async function withRetries(
+  attempt,
+  { MAX_ATTEMPTS = RETRY_ATTEMPTS, BACKOFF_MS = RETRY_BACKOFF_MS, label = "run", retryable = () => true } = {}
+) {
+  for (let n = 1; ; n++) {
+    const result = await attempt(n);
+    if (result.ok || !isTransient(result.code) || !retryable(result) || n >= MAX_ATTEMPTS) {
+      return { ...result, attempts: n };
+    }
+    const wait = backoffMs(n, BACKOFF_MS);
+    logWarn(`[RETRY] ${label} attempt ${n}/${MAX_ATTEMPTS} failed (${result.code}: ${result.error}); retrying in ${wait}ms`, {
+      attempt: n,
+      code: result.code,
+      retryInMs: wait
+    });
+    await sleep(wait);
+  }
+}
@@ -0,0 +1,1256 @@
+// fitpass.js — portal automation core (login, calendar, matching, capacity edits)
+// Shared by the HTTP API (server.js) and the CLI (index.js).
+
+import { AsyncResource } from "node:async_hooks";
+import { acquireBrowser, forgetSession, getSessionCookies, saveSessionCookies } from "./pool.js";
+import { createRecorder } from "./artifacts.js";
+import { recordChange } from "./history.js";
+import { bindProfile, fill, getProfile, profileOf, scopeText } from "./profiles.js";
+import { debugLogger, emitRunEvent, log, logError, registerSecret, setLogContext } from "./log.js";
+import { counter, histogram } from "./metrics.js";
+import { FitpassError, errorCode, failure, withRetries } from "./errors.js";
+import {
+  extractEndTimeMinutes,
+  extractStartTimeMinutes,
+  fmtMinutes,
+  formTextMatches,
+  nameMatches,
+  normName,
+  normTimeTokens,
+  pickEvent,
+  toMinutes
+} from "./matching.js";
+import { runHttpCapacity } from "./httpdriver.js";
+
+export { ERROR_CODES, FitpassError, failure, httpStatus, isTransient } from "./errors.js";
+export { EDIT_SCOPES } from "./profiles.js";
+export { extractStartTimeMinutes, toMinutes } from "./matching.js";
+
+// ---------- Utilities ----------
+const TIMEOUT = 5000;
+// Point at a local stand-in (test/mock-portal.js) with FITPASS_BASE_URL=http://127.0.0.1:4000
+export const PORTAL_URL = (process.env.FITPASS_BASE_URL || "https://admin2.fitpass.com").replace(/\/+$/, "");
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// Single capacity edits can skip the browser: "http" uses httpdriver.js and falls back to
+// "browser" (Puppeteer) when the portal doesn't look like it expects. Per request via DRIVER.
+export const DRIVERS = ["browser", "http"];
+const DEFAULT_DRIVER = process.env.FITPASS_DRIVER || "browser";
+export const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function dateRange(from, to) {
+  const out = [];
+  const end = new Date(to + "T00:00:00Z");
+  for (let d = new Date(from + "T00:00:00Z"); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+    out.push(d.toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+// ---------- Robust calendar navigation (no nth-of-type) ----------
+export async function gotoCalendar(page, { DEBUG = false } = {}) {
+  const dbg = debugLogger(DEBUG);
+  const { selectors: S, texts: T, paths } = profileOf(page);
+
+  // 1) Click links that look like calendar
+  for (const sel of S.calendarLinks) {
+    const el = await page.$(sel);
+    if (el) {
+      dbg("Clicking", sel);
+      await Promise.all([
+        page.waitForNavigation({ waitUntil: "networkidle0", timeout: 15000 }).catch(() => {}),
+        el.click()
+      ]);
+      const onCal = await page.$(S.calendarView);
+      if (onCal) return true;
+    }
+  }
+
+  // 2) Search by visible text
+  const clickedByText = await page.evaluate(
+    (menuItems, kws) => {
+      const els = Array.from(document.querySelectorAll(menuItems));
+      for (const a of els) {
+        const t = (a.innerText || a.textContent || "").toLowerCase().trim();
+        if (kws.some((k) => t.includes(k))) {
+          a.scrollIntoView({ block: "center", behavior: "instant" });
+          a.click();
+          return true;
+        }
+      }
+      return false;
+    },
+    S.menuItems,
+    T.calendarMenu
+  );
+  if (clickedByText) {
+    await page.waitForNavigation({ waitUntil: "networkidle0", timeout: 15000 }).catch(() => {});
+    const onCal = await page.$(S.calendarView);
+    if (onCal) return true;
+  }
+
+  // 3) Navigate directly (session already authenticated)
+  const base = await page.evaluate(() => location.origin);
+  for (const path of paths.calendar) {
+    try {
+      const url = base + path;
+      dbg("Direct nav →", url);
+      await page.goto(url, { waitUntil: "networkidle0", timeout: 15000 });
+      const onCal = await page.$(S.calendarView);
+      if (onCal) return true;
+    } catch {}
+  }
+
+  throw new FitpassError("CALENDAR_NOT_FOUND", "Could not navigate to calendar; menu/link not found.");
+}
+
+// ---------- Date navigation (tries input[data-date] & FC toolbar) ----------
+export async function gotoDate(page, isoDate, DEBUG = false) {
+  const dlog = debugLogger(DEBUG);
+  dlog("📅 gotoDate →", isoDate);
+  const { selectors: S } = profileOf(page);
+
+  // Try native date inputs first
+  for (const sel of S.dateInputs) {
+    const exists = await page.$(sel);
+    if (exists) {
+      dlog("  Using date input:", sel);
+      await page.evaluate(
+        (selector, value) => {
+          const inp = document.querySelector(selector);
+          if (!inp) return;
+          inp.value = value;
+          inp.dispatchEvent(new Event("input", { bubbles: true }));
+          inp.dispatchEvent(new Event("change", { bubbles: true }));
+        },
+        sel,
+        isoDate
+      );
+      await page.waitForNetworkIdle({ idleTime: 500, timeout: 8000 }).catch(() => {});
+      return true;
+    }
+  }
+
+  // Click the cell with data-date or navlink
+  const tryOpen = async () => {
+    for (const s of S.dateCells.map((sel) => fill(sel, { date: isoDate }))) {
+      const el = await page.$(s);
+      if (el) {
+        dlog("  Clicking date element:", s);
+        await el.click();
+        await page.waitForNetworkIdle({ idleTime: 400, timeout: 8000 }).catch(() => {});
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const clickBtn = async (selectors) => {
+    for (const s of selectors) {
+      const btn = await page.$(s);
+      if (btn) {
+        dlog("  Nav button:", s);
+        await btn.click();
+        await page.waitForNetworkIdle({ idleTime: 300, timeout: 8000 }).catch(() => {});
+        return true;
+      }
+    }
+    return false;
+  };
+
+  if (await tryOpen()) return true;
+  for (let i = 0; i < 24; i++) {
+    const moved = await clickBtn(S.nextButtons);
+    if (!moved) break;
+    if (await tryOpen()) return true;
+  }
+  for (let i = 0; i < 24; i++) {
+    const moved = await clickBtn(S.prevButtons);
+    if (!moved) break;
+    if (await tryOpen()) return true;
+  }
+
+  throw new FitpassError("DATE_NAVIGATION_FAILED", `Could not navigate calendar to ${isoDate}.`);
+}
+
+// ---------- Modal & form gating ----------
+async function closeModalIfOpen(page, DEBUG = false) {
+  const dlog = debugLogger(DEBUG);
+  const { selectors: S, texts: T } = profileOf(page);
+  for (const sel of S.modalClose) {
+    const el = await page.$(sel);
+    if (el) {
+      const text = (await page.evaluate((e) => e.textContent || "", el))
+        .toLowerCase()
+        .trim();
+      if (T.destructive.some((k) => text.includes(k))) {
+        dlog("  Skipping destructive:", text);
+        continue;
+      }
+      dlog("  Closing modal via:", sel);
+      await el.click();
+      await page.waitForNetworkIdle({ idleTime: 200, timeout: 4000 }).catch(() => {});
+      return;
+    }
+  }
+  dlog("  Closing modal via Escape");
+  await page.keyboard.press("Escape").catch(() => {});
+  await sleep(200);
+}
+
+async function modalMatchesTarget(page, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, DEBUG = false) {
+  const dlog = debugLogger(DEBUG);
+  const { selectors: S, texts: T } = profileOf(page);
+  await page.waitForSelector(S.modal.join(", "), { visible: true, timeout: TIMEOUT });
+  await sleep(500);
+  const raw = await page.evaluate((sels) => {
+    const n = sels.map((s) => document.querySelector(s)).find(Boolean);
+    return n?.innerText || "";
+  }, S.modal);
+  const txt = normTimeTokens(raw);
+  const startMins = extractStartTimeMinutes(txt);
+  const timeOK = !TARGET_TIME || startMins === toMinutes(TARGET_TIME);
+  const nameOK = nameMatches(txt, TARGET_NAME);
+  const isCreateModal = !T.editModal.some((k) => txt.includes(k)) && T.createModal.some((k) => txt.includes(k));
+  if (isCreateModal) return false;
+  return STRICT_REQUIRE_NAME ? timeOK && nameOK : timeOK && nameOK;
+}
+
+async function formMatchesTarget(
+  page,
+  TARGET_DATE,
+  TARGET_TIME,
+  TARGET_NAME,
+  STRICT_REQUIRE_NAME,
+  DEBUG = false
+) {
+  const dlog = debugLogger(DEBUG);
+  let raw = "";
+  for (const sel of profileOf(page).selectors.editForm) {
+    const el = await page.$(sel);
+    if (el) {
+      raw = await page.evaluate((n) => n.innerText || "", el);
+      if (raw) break;
+    }
+  }
+  const pageTxt = await page.evaluate(() => document.body.innerText || "");
+  const { timeOK, nameOK, dateOK, ok } = formTextMatches(raw, pageTxt, { TARGET_DATE, TARGET_TIME, TARGET_NAME });
+  dlog("  [Form check] timeOK:", timeOK, "nameOK:", nameOK, "dateOK:", dateOK);
+  return ok;
+}
+
+// ---------- Find & open correct event ----------
+// Scores the events rendered on TARGET_DATE (see pickEvent in matching.js) and opens the
+// best one. Resolves to the opened candidate once both gates pass, or null.
+export async function openCorrectEvent(
+  page,
+  TARGET_DATE,
+  TARGET_TIME,
+  TARGET_NAME,
+  STRICT_REQUIRE_NAME,
+  DEBUG = false,
+  { EVENT_ID = "", MARGIN, MIN_SCORE } = {}
+) {
+  const dlog = debugLogger(DEBUG);
+  const { selectors: S, patterns } = profileOf(page);
+  const eventIdRe = new RegExp(patterns.eventId);
+  // An empty week renders no events at all: fall through to NO_MATCH below
+  await page.waitForSelector(S.events, { visible: true, timeout: TIMEOUT }).catch(() => dlog("  No events rendered"));
+
+  const events = await page.$$(S.events);
+
+  const sameDate = async (el) =>
+    await page.evaluate(
+      (node, d) => {
+        if (node.closest?.(`[data-date="${d}"]`)) return true;
+        let n = node;
+        while (n && n !== document.documentElement) {
+          if (n.getAttribute) {
+            const dd = n.getAttribute("data-date");
+            if (dd === d) return true;
+            const nav = n.getAttribute("data-navlink");
+            if (nav === d) return true;
+          }
+          n = n.parentNode;
+        }
+        return false;
+      },
+      el,
+      TARGET_DATE
+    );
+
+  const dateEvents = [];
+  for (const ev of events) {
+    if (!(await sameDate(ev))) continue;
+    const info = await page.evaluate(
+      (n) => ({
+        txt: n.innerText || n.textContent || "",
+        href: n.getAttribute("href") || n.querySelector("a[href]")?.getAttribute("href") || null,
+        dataId: n.getAttribute("data-id") || n.getAttribute("data-event-id") || null
+      }),
+      ev
+    );
+    const preview = info.txt.toLowerCase().trim().replace(/\s+/g, " ").slice(0, 160);
+    const id = info.dataId || info.href?.match(eventIdRe)?.[1] || null;
+    if (dateEvents.some((d) => d.preview === preview && d.id === id && d.href === info.href)) continue;
+    dateEvents.push({ ev, preview, id, href: info.href });
+  }
+  const best = pickEvent(dateEvents, { TARGET_DATE, TARGET_TIME, TARGET_NAME, EVENT_ID, MARGIN, MIN_SCORE }, dlog);
+
+  // Scroll + click with fallbacks
+  await best.ev.evaluate((n) => n.scrollIntoView({ block: "center", behavior: "instant" }));
+  try {
+    await best.ev.click();
+  } catch {}
+  try {
+    await page.evaluate(
+      (el) => el.dispatchEvent(new MouseEvent("click", { view: window, bubbles: true, cancelable: true })),
+      best.ev
+    );
+  } catch {}
+  await sleep(100);
+
+  // Gate 1: modal must match
+  const okModal = await modalMatchesTarget(page, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, DEBUG);
+  if (!okModal) {
+    await closeModalIfOpen(page, DEBUG);
+    await sleep(200);
+    return null;
+  }
+
+  // Proceed to the edit form ("EDITAR CLASE")
+  await page.waitForSelector(S.modalEdit, { visible: true, timeout: TIMEOUT });
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: "networkidle0", timeout: 15000 }).catch(() => {}),
+    page.click(S.modalEdit)
+  ]);
+
+  // Gate 2: edit form must match
+  const okForm = await formMatchesTarget(page, TARGET_DATE, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, DEBUG);
+  return okForm ? { preview: best.preview, score: best.score, id: best.id, href: best.href } : null;
+}
+
+// Visible flash / validation texts (Rails flashes, Bootstrap alerts, field errors).
+async function readPortalMessages(page) {
+  return page
+    .evaluate((sels) => {
+      const out = [];
+      for (const n of document.querySelectorAll(sels.join(","))) {
+        if (!n.offsetParent && getComputedStyle(n).position !== "fixed") continue;
+        const t = (n.innerText || "").trim().replace(/\s+/g, " ").slice(0, 300);
+        if (t && !out.includes(t)) out.push(t);
+      }
+      return out;
+    }, profileOf(page).selectors.portalMessages)
+    .catch(() => []);
+}
+
+const asNumber = (raw) => (raw !== "" && raw != null && !isNaN(Number(raw)) ? Number(raw) : raw);
+
+// Current value of the capacity input on the open edit form (number when numeric).
+export async function readCapacity(page) {
+  const { capacityInput } = profileOf(page).selectors;
+  await page.waitForSelector(capacityInput, { visible: true, timeout: TIMEOUT });
+  return asNumber(await page.$eval(capacityInput, (el) => el.value));
+}
+
+// ---------- Read-only schedule scraping ----------
+// Collects the FullCalendar events rendered for `isoDate` (same nodes openCorrectEvent scans).
+async function collectEvents(page, isoDate) {
+  const { selectors: S, patterns } = profileOf(page);
+  const raw = await page.evaluate(
+    (d, eventSel) => {
+      const nodes = document.querySelectorAll(eventSel);
+      const dateOf = (node) => {
+        let n = node;
+        while (n && n !== document.documentElement) {
+          if (n.getAttribute) {
+            const dd = n.getAttribute("data-date") || n.getAttribute("data-navlink");
+            if (dd) return dd.slice(0, 10);
+          }
+          n = n.parentNode;
+        }
+        return null;
+      };
+      return Array.from(nodes)
+        .filter((n) => dateOf(n) === d)
+        .map((n) => ({
+          text: (n.innerText || n.textContent || "").trim(),
+          href: n.getAttribute("href") || n.querySelector("a[href]")?.getAttribute("href") || null,
+          dataId: n.getAttribute("data-id") || n.getAttribute("data-event-id") || null
+        }));
+    },
+    isoDate,
+    S.events
+  );
+
+  const seen = new Set();
+  const classes = [];
+  for (const ev of raw) {
+    const text = ev.text.replace(/\s+/g, " ");
+    const key = ev.href || ev.dataId || text;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const name = text
+      .replace(/(\d{1,2})[:\.](\d{2})\s*([ap]\s*\.?\s*m\.?)?/gi, "")
+      .replace(/^[\s\-–—|·]+|[\s\-–—|·]+$/g, "")
+      .trim();
+    classes.push({
+      date: isoDate,
+      start: fmtMinutes(extractStartTimeMinutes(text)),
+      end: fmtMinutes(extractEndTimeMinutes(text)),
+      name,
+      id: ev.dataId || ev.href?.match(new RegExp(patterns.eventId))?.[1] || null,
+      href: ev.href,
+      text
+    });
+  }
+  return classes.sort((a, b) => String(a.start).localeCompare(String(b.start)));
+}
+
+// ---------- Browser session helpers ----------
+// Selectors and texts for everything done on the page come from `profile` (see profiles.js).
+async function openPage(context, recorder, profile) {
+  const page = await context.newPage();
+  page.setDefaultTimeout(TIMEOUT);
+  bindProfile(page, profile);
+
+  // Extra logs (helpful on Railway); also kept by the run's artifact recorder and streamed as
+  // run events. Puppeteer calls these from the browser connection, so they are bound to this
+  // run's async context to keep its log fields and event sink.
+  page.on(
+    "console",
+    AsyncResource.bind((msg) => {
+      log("[PAGE]", msg.text());
+      recorder?.logConsole({ type: msg.type(), text: msg.text() });
+      emitRunEvent("console", { type: msg.type(), text: msg.text() });
+    })
+  );
+  page.on(
+    "requestfailed",
+    AsyncResource.bind((r) => {
+      log("[REQ FAIL]", r.url(), r.failure()?.errorText);
+      recorder?.logNetwork({ url: r.url(), method: r.method(), failure: r.failure()?.errorText || null });
+      emitRunEvent("http", { url: r.url(), method: r.method(), failure: r.failure()?.errorText || null });
+    })
+  );
+  page.on(
+    "response",
+    AsyncResource.bind((resp) => {
+      if (resp.status() >= 400) {
+        log("[HTTP " + resp.status() + "]", resp.url());
+        recorder?.logNetwork({ url: resp.url(), status: resp.status() });
+        emitRunEvent("http", { url: resp.url(), method: resp.request().method(), status: resp.status() });
+      }
+    })
+  );
+  return page;
+}
+
+// Closes the page and returns the lease; attaches artifacts (capturing the failure state first).
+async function finishRun(page, lease, recorder, result) {
+  if (recorder && !result.ok) await recorder.capture(page, "failure", { failure: true });
+  const artifacts = recorder ? await recorder.finish() : [];
+  await page.close().catch(() => {});
+  await lease.release();
+  return artifacts.length ? { ...result, artifacts } : result;
+}
+
+// ---------- Metrics ----------
+const stepSeconds = histogram("fitpass_step_duration_seconds", "Runner step durations by step and outcome.");
+const loginFailures = counter("fitpass_login_failures_total", "Sign-ins the portal rejected, by driver.");
+
+// "[2/5] Select date 2025-10-21" → "Select date": one series per kind of step, not per class.
+const stepName = (label) =>
+  label
+    .replace(/^\[\d+\/\d+\] /, "")
+    .replace(/ \d{4}-\d{2}-\d{2}$/, "")
+    .replace(/ ".*"$/, "");
+
+// Once "Save form" has started the portal may already have taken the change: a retry would read
+// the new value back as the previous one (and a moved class would no longer match), so runners
+// stop retrying from there. `onStep` wraps the runner's callback; reset `started` per item.
+function trackSave(onStep = () => {}) {
+  const save = { started: false };
+  save.onStep = (event) => {
+    if (event.phase === "start" && stepName(event.label) === "Save form") save.started = true;
+    onStep(event);
+  };
+  return save;
+}
+
+// Logged step wrapper; `onStep` receives start/end/fail events (job tracking), the run's log
+// context gets the current step and its duration feeds fitpass_step_duration_seconds.
+// In "steps" artifact mode every completed step is also captured.
+function makeStep(onStep = () => {}, { page, recorder } = {}) {
+  return async (label, fn) => {
+    setLogContext({ step: label });
+    log("➡️ ", label);
+    onStep({ phase: "start", label });
+    const t = Date.now();
+    try {
+      const r = await fn();
+      log("✅", label, { ms: Date.now() - t });
+      onStep({ phase: "end", label, ms: Date.now() - t });
+      stepSeconds.observe({ step: stepName(label), outcome: "ok" }, (Date.now() - t) / 1000);
+      if (recorder?.captureSteps) await recorder.capture(page, label);
+      return r;
+    } catch (e) {
+      logError("❌", label, e?.message || e, { ms: Date.now() - t, code: errorCode(e) });
+      onStep({ phase: "fail", label, ms: Date.now() - t, error: e?.message || String(e) });
+      stepSeconds.observe({ step: stepName(label), outcome: "failed" }, (Date.now() - t) / 1000);
+      throw e;
+    } finally {
+      setLogContext({ step: null });
+    }
+  };
+}
+
+async function login(page, step, email, password, dlog = () => {}) {
+  const { selectors: S, paths } = profileOf(page);
+  await step("Open login", () => page.goto(PORTAL_URL + paths.login, { waitUntil: "domcontentloaded" }));
+  await step("Type credentials", async () => {
+    await page.waitForSelector(S.loginEmail, { visible: true });
+    await page.type(S.loginEmail, email, { delay: 25 });
+    await page.click(S.loginPassword);
+    await page.type(S.loginPassword, password, { delay: 25 });
+  });
+  await step("Submit login", async () => {
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: "networkidle0", timeout: 15000 }).catch(() => {}),
+      page.click(S.loginSubmit)
+    ]);
+    dlog("URL after login:", page.url());
+  });
+}
+
+const onLoginPage = async (page) => {
+  const { selectors: S, paths } = profileOf(page);
+  return page.url().includes(paths.login) || !!(await page.$(S.loginEmail));
+};
+
+const onCalendarPage = async (page) => !!(await page.$(profileOf(page).selectors.calendarView));
+
+// Reuses the account's pooled cookies when they are still valid; otherwise logs in
+// again (expired sessions redirect back to the login path) and stores fresh cookies.
+export async function ensureSession(page, step, email, password, DEBUG = false) {
+  const dlog = debugLogger(DEBUG);
+  registerSecret(password);
+  const cookies = getSessionCookies(email);
+  if (cookies) {
+    await step("Restore session", async () => {
+      await page.setCookie(...cookies);
+      await page
+        .goto(PORTAL_URL + profileOf(page).paths.home, { waitUntil: "networkidle0", timeout: 15000 })
+        .catch(() => {});
+    });
+    if (!(await onLoginPage(page))) return;
+    dlog("Stored session expired; logging in again");
+    forgetSession(email);
+  }
+
+  await login(page, step, email, password, dlog);
+  if (await onLoginPage(page)) {
+    loginFailures.inc({ driver: "browser" });
+    throw new FitpassError("LOGIN_FAILED", "Login failed: still on the sign-in page after submitting credentials.");
+  }
+  saveSessionCookies(email, await page.cookies());
+}
+
+// Calendar navigation that survives a session expiring mid-run.
+async function openCalendar(page, step, email, password, DEBUG = false) {
+  if (await onLoginPage(page)) await ensureSession(page, step, email, password, DEBUG);
+  await step("Go to calendar", () => gotoCalendar(page, { DEBUG }));
+  if (await onLoginPage(page)) {
+    forgetSession(email);
+    await ensureSession(page, step, email, password, DEBUG);
+    await step("Go to calendar", () => gotoCalendar(page, { DEBUG }));
+  }
+}
+
+// Date → event through both gates. Expects the calendar to be open; leaves the edit form open.
+async function openTarget(page, step, { TARGET_DATE, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, EVENT_ID, MATCH, DEBUG }) {
+  await step("Select date " + TARGET_DATE, () => gotoDate(page, TARGET_DATE, DEBUG));
+
+  const match = await step("Open correct event", () =>
+    openCorrectEvent(page, TARGET_DATE, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, DEBUG, { ...MATCH, EVENT_ID })
+  );
+  if (!match) {
+    throw new FitpassError(
+      "NO_MATCH",
+      `No matching event for ${TARGET_DATE}${TARGET_TIME ? ` at "${TARGET_TIME}"` : ""}${TARGET_NAME ? ` (${TARGET_NAME})` : ""} (modal/form check failed).`
+    );
+  }
+  return match;
+}
+
+// Save the open edit form and pick the recurrence button for SCOPE by its label (never by
+// position); returns the portal's messages. SCOPE_NOT_OFFERED when the prompt lacks that choice.
+async function saveAndConfirm(page, step, SCOPE = "single") {
+  const { selectors: S } = profileOf(page);
+  const wanted = scopeText(profileOf(page), SCOPE);
+
+  await step("Save form", async () => {
+    await page.waitForSelector(S.saveButton, { visible: true, timeout: TIMEOUT });
+    await Promise.all([
+      page.waitForNetworkIdle({ idleTime: 800, timeout: 15000 }).catch(() => {}),
+      page.click(S.saveButton)
+    ]);
+  });
+
+  const messages = await readPortalMessages(page);
+
+  await step(`Confirm "${wanted}"`, async () => {
+    const buttons = await page.$$(S.scopeButtons);
+    const labels = await Promise.all(buttons.map((b) => b.evaluate((n) => (n.innerText || n.textContent || "").trim())));
+    const button = buttons[labels.findIndex((l) => l.toLowerCase().includes(wanted))];
+    if (button) {
+      await Promise.all([
+        page.waitForNetworkIdle({ idleTime: 800, timeout: 15000 }).catch(() => {}),
+        button.click()
+      ]);
+    } else if (buttons.length) {
+      throw new FitpassError(
+        "SCOPE_NOT_OFFERED",
+        `Scope "${SCOPE}" is not offered for this class (the portal offers: ${labels.map((l) => `"${l}"`).join(", ")}).`,
+        { scope: SCOPE, offered: labels }
+      );
+    } else {
+      // Portal messages mean the form was rejected (validation); silence may be a slow portal
+      const said = messages.length ? ` Portal says: ${messages.join(" | ")}` : "";
+      throw new FitpassError(
+        messages.length ? "SAVE_REJECTED" : "SAVE_NOT_CONFIRMED",
+        `Could not find the "${wanted}" button.` + said
+      );
+    }
+  });
+
+  for (const m of await readPortalMessages(page)) if (!messages.includes(m)) messages.push(m);
+  return messages;
+}
+
+// Back to the calendar and into the same event (pinned by id) to read saved values.
+async function reopenMatch(page, match, { TARGET_DATE, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, EVENT_ID, MATCH, DEBUG }) {
+  if (!(await onCalendarPage(page))) await gotoCalendar(page, { DEBUG });
+  await gotoDate(page, TARGET_DATE, DEBUG);
+  const again = await openCorrectEvent(page, TARGET_DATE, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, DEBUG, {
+    ...MATCH,
+    EVENT_ID: match.id || match.href || EVENT_ID
+  });
+  if (!again) throw new FitpassError("SAVE_NOT_CONFIRMED", "Could not reopen the event to verify the saved values.");
+}
+
+// Date → event → capacity → save → recurrence choice (SCOPE, default "single"). Expects the
+// calendar to be open. With DRY_RUN it stops after reading the current capacity, before "Save form".
+export async function updateCapacity(page, step, target) {
+  const {
+    TARGET_DATE,
+    TARGET_TIME,
+    TARGET_NAME = "",
+    NEW_CAPACITY,
+    SCOPE = "single",
+    EXPECT_CURRENT = null,
+    DRY_RUN = false
+  } = target;
+  const match = await openTarget(page, step, target);
+
+  const currentCapacity = await step("Read current capacity", () => readCapacity(page));
+
+  // Reverts pass the value they expect to undo; anything else means someone edited the class since
+  if (EXPECT_CURRENT != null && String(currentCapacity) !== String(EXPECT_CURRENT)) {
+    throw new FitpassError(
+      "CAPACITY_CHANGED",
+      `Capacity is now ${currentCapacity}, not ${EXPECT_CURRENT}; the class was edited since. Use force to overwrite.`,
+      { match, currentCapacity, expectedCapacity: EXPECT_CURRENT }
+    );
+  }
+
+  if (DRY_RUN) {
+    return {
+      ok: true,
+      dryRun: true,
+      message: `Would change capacity ${currentCapacity} → ${NEW_CAPACITY} for ${TARGET_DATE} ${TARGET_TIME}${TARGET_NAME ? ` (${TARGET_NAME})` : ""}`,
+      match,
+      currentCapacity,
+      proposedCapacity: NEW_CAPACITY
+    };
+  }
+
+  const { selectors: S } = profileOf(page);
+
+  await step("Change capacity", async () => {
+    await page.waitForSelector(S.capacityInput, { visible: true, timeout: TIMEOUT });
+    await page.click(S.capacityInput, { clickCount: 3 });
+    await page.type(S.capacityInput, String(NEW_CAPACITY), { delay: 20 });
+  });
+
+  const messages = await saveAndConfirm(page, step, SCOPE);
+
+  // Reopen the same event and read the value back: only a persisted value counts as success
+  const savedCapacity = await step("Verify saved capacity", async () => {
+    await reopenMatch(page, match, target);
+    return readCapacity(page);
+  });
+  const verified = String(savedCapacity) === String(NEW_CAPACITY);
+
+  return {
+    ok: verified,
+    ...(verified
+      ? {
+          message: `Capacity ${NEW_CAPACITY} set for ${TARGET_DATE} ${TARGET_TIME}${TARGET_NAME ? ` (${TARGET_NAME})` : ""}`
+        }
+      : {
+          error: `Capacity did not persist: portal shows ${savedCapacity}, expected ${NEW_CAPACITY}.`,
+          code: "SAVE_NOT_CONFIRMED"
+        }),
+    match,
+    previousCapacity: currentCapacity,
+    newCapacity: NEW_CAPACITY,
+    scope: SCOPE,
+    verified,
+    messages
+  };
+}
+
+// ---------- Class fields (patch) ----------
+// Field names ("room", "instructor", "startTime"…) map to edit-form selectors through the
+// profile's `fields` section; a profile can add more without code changes.
+export const unknownFields = (profile, fields) => Object.keys(fields || {}).filter((f) => !profile.fields[f]);
+
+const TRUE_WORDS = ["true", "1", "yes", "si", "on"];
+const FALSE_WORDS = ["false", "0", "no", "off"];
+
+// { kind: "select" | "checkbox" | "input", type?, value, label?, options? } for one form control.
+async function readField(page, selector) {
+  const el = await page.$(selector);
+  if (!el) return null;
+  return el.evaluate((n) => {
+    if (n.tagName === "SELECT") {
+      const options = [...n.options].map((o) => ({ value: o.value, label: (o.textContent || "").trim() }));
+      return { kind: "select", value: n.value, label: (n.selectedOptions[0]?.textContent || "").trim(), options };
+    }
+    if (n.type === "checkbox") return { kind: "checkbox", value: n.checked };
+    return { kind: "input", type: n.type || "text", value: n.value };
+  });
+}
+
+// How a value is reported: the option label for selects, booleans for checkboxes, numbers when numeric.
+const shown = (control, value = control.value) =>
+  control.kind === "select"
+    ? control.options.find((o) => o.value === value)?.label ?? value
+    : control.kind === "checkbox"
+      ? value
+      : asNumber(value);
+
+// The control value that represents `wanted`; INVALID_FIELD_VALUE when there is none.
+function resolveValue(field, control, wanted) {
+  const bad = (why, details = {}) => new FitpassError("INVALID_FIELD_VALUE", `${field}: ${why}`, { field, ...details });
+  if (control.kind === "checkbox") {
+    if (wanted === true || TRUE_WORDS.includes(normName(wanted))) return true;
+    if (wanted === false || FALSE_WORDS.includes(normName(wanted))) return false;
+    throw bad(`expected true or false, got "${wanted}".`);
+  }
+  if (control.kind === "select") {
+    // Option value, exact label (accent/case-insensitive) or a label only one option contains
+    const w = normName(wanted);
+    const partial = control.options.filter((o) => w && normName(o.label).includes(w));
+    const chosen =
+      control.options.find((o) => o.value === String(wanted)) ||
+      control.options.find((o) => normName(o.label) === w) ||
+      (partial.length === 1 ? partial[0] : null);
+    if (!chosen) throw bad(`no single option matches "${wanted}".`, { options: control.options.map((o) => o.label) });
+    return chosen.value;
+  }
+  if (control.type === "time") {
+    const mins = toMinutes(String(wanted));
+    if (mins == null) throw bad(`"${wanted}" is not a time (HH:MM).`);
+    return fmtMinutes(mins);
+  }
+  return String(wanted);
+}
+
+async function writeField(page, selector, control, value) {
+  if (control.kind === "select") return page.select(selector, value);
+  if (control.kind === "checkbox") return control.value !== value && page.click(selector);
+  if (["text", "number", "search", "tel", "email", "url", "textarea"].includes(control.type) && value !== "") {
+    await page.click(selector, { clickCount: 3 });
+    return page.type(selector, value, { delay: 20 });
+  }
+  // time/date/… inputs: typed text depends on the browser locale, so set the value directly
+  await page.$eval(
+    selector,
+    (n, v) => {
+      n.value = v;
+      n.dispatchEvent(new Event("input", { bubbles: true }));
+      n.dispatchEvent(new Event("change", { bubbles: true }));
+    },
+    value
+  );
+}
+
+const describeChanges = (changes) => changes.map((c) => `${c.field} ${c.from} → ${c.to}`).join(", ");
+
+// Date → event → fields → save → recurrence choice (SCOPE). FIELDS = { name: value }. Only fields
+// whose value differs are touched; `changes` lists them ({ field, from, to }), `unchanged` the rest.
+export async function patchClass(page, step, target) {
+  const { TARGET_DATE, TARGET_TIME, TARGET_NAME = "", FIELDS = {}, SCOPE = "single", DRY_RUN = false } = target;
+  const profile = profileOf(page);
+  const unknown = unknownFields(profile, FIELDS);
+  if (unknown.length) {
+    throw new FitpassError("UNKNOWN_FIELD", `Unknown field(s): ${unknown.join(", ")}.`, { fields: Object.keys(profile.fields) });
+  }
+  const what = `${TARGET_DATE} ${TARGET_TIME}${TARGET_NAME ? ` (${TARGET_NAME})` : ""}`;
+  const match = await openTarget(page, step, target);
+
+  const plan = await step("Read fields", async () => {
+    const out = [];
+    for (const [field, wanted] of Object.entries(FIELDS)) {
+      const selector = profile.fields[field];
+      const control = await readField(page, selector);
+      if (!control) {
+        throw new FitpassError("FIELD_NOT_FOUND", `Field "${field}" (${selector}) is not on the edit form.`, { field });
+      }
+      const value = resolveValue(field, control, wanted);
+      out.push({ field, selector, control, value, from: shown(control), to: shown(control, value) });
+    }
+    return out;
+  });
+  const pending = plan.filter((p) => p.value !== p.control.value);
+  const changes = pending.map(({ field, from, to }) => ({ field, from, to }));
+  const unchanged = plan.filter((p) => p.value === p.control.value).map((p) => p.field);
+
+  if (DRY_RUN || !changes.length) {
+    return {
+      ok: true,
+      ...(DRY_RUN ? { dryRun: true } : { verified: true, messages: [] }),
+      message: changes.length ? `Would change ${describeChanges(changes)} for ${what}` : `Nothing to change for ${what}`,
+      match,
+      changes,
+      unchanged
+    };
+  }
+
+  await step("Fill fields", async () => {
+    for (const p of pending) await writeField(page, p.selector, p.control, p.value);
+  });
+
+  const messages = await saveAndConfirm(page, step, SCOPE);
+
+  // Reopen pinned by id, without the time gate: startTime may have just moved the class
+  const saved = await step("Verify saved fields", async () => {
+    await reopenMatch(page, match, { ...target, TARGET_TIME: "" });
+    const out = [];
+    for (const p of pending) out.push(await readField(page, p.selector));
+    return out;
+  });
+  const mismatched = pending
+    .map((p, i) => ({ ...p, now: saved[i] }))
+    .filter((p) => p.now?.value !== p.value)
+    .map((p) => `${p.field} shows ${p.now ? shown(p.now) : "nothing"}, expected ${p.to}`);
+  const verified = !mismatched.length;
+
+  return {
+    ok: verified,
+    ...(verified
+      ? { message: `Updated ${describeChanges(changes)} for ${what}` }
+      : { error: `Fields did not persist: ${mismatched.join("; ")}.`, code: "SAVE_NOT_CONFIRMED" }),
+    match,
+    changes,
+    unchanged,
+    scope: SCOPE,
+    verified,
+    messages
+  };
+}
+
+// ---------- Audit history ----------
+// Every attempted write (not dry runs) goes to history.js with who/what/before/after/outcome.
+// AUDIT = { source, account, keyId, ruleId?, revertOf? } from the caller. The change id is added to the
+// result; a failed append is logged but never turns a portal write into a failure.
+async function audit(AUDIT, { email, RUN_ID, startedAt, item }, result) {
+  try {
+    const change = await recordChange({
+      source: AUDIT.source || null,
+      account: AUDIT.account || null,
+      email,
+      keyId: AUDIT.keyId || null,
+      ...(AUDIT.ruleId ? { ruleId: AUDIT.ruleId } : {}),
+      ...(AUDIT.revertOf ? { revertOf: AUDIT.revertOf } : {}),
+      runId: RUN_ID,
+      ...(result.driver ? { driver: result.driver } : {}),
+      targetDate: item.TARGET_DATE,
+      targetTime: item.TARGET_TIME || "",
+      targetName: item.TARGET_NAME || "",
+      eventId: item.EVENT_ID || "",
+      match: result.match || null,
+      previousCapacity: result.previousCapacity ?? null,
+      newCapacity: item.NEW_CAPACITY,
+      scope: item.SCOPE || "single",
+      ...(item.FIELDS ? { fields: item.FIELDS, changes: result.changes || null } : {}),
+      ok: !!result.ok,
+      verified: !!result.verified,
+      attempts: result.attempts || 1,
+      ...(result.ok ? {} : { code: result.code || null, error: result.error || null }),
+      startedAt: new Date(startedAt).toISOString(),
+      ms: Date.now() - startedAt
+    });
+    return { ...result, changeId: change.id };
+  } catch (err) {
+    logError("[HISTORY] Could not record change:", err);
+    return result;
+  }
+}
+
+// ---------- Attempts ----------
+// One browser attempt: lease → page → flow(page, step) → finishRun. Never throws; a failure
+// (including no browser) comes back as failure(err) so withRetries can judge its code.
+async function browserAttempt({ recorder, profile, onStep }, flow) {
+  let lease, page;
+  try {
+    lease = await acquireBrowser();
+    page = await openPage(lease.context, recorder, profile);
+  } catch (err) {
+    await lease?.release();
+    return failure(err);
+  }
+  const step = makeStep(onStep, { page, recorder });
+  try {
+    return await finishRun(page, lease, recorder, await flow(page, step));
+  } catch (err) {
+    return await finishRun(page, lease, recorder, failure(err));
+  }
+}
+
+// ---------- Main runner (wraps your working flow) ----------
+// Transient failures (timeouts, portal/browser hiccups) are retried with backoff until the save
+// has been sent (see trackSave).
+export async function runFitpass({
+  email,
+  password,
+  TARGET_DATE,
+  TARGET_TIME,
+  TARGET_NAME = "",
+  NEW_CAPACITY,
+  STRICT_REQUIRE_NAME = true,
+  EVENT_ID = "",
+  MATCH = {},
+  EXPECT_CURRENT = null,
+  DRY_RUN = false,
+  DEBUG = false,
+  RUN_ID = null,
+  ARTIFACTS,
+  PROFILE = null,
+  AUDIT = {},
+  DRIVER = DEFAULT_DRIVER,
+  SCOPE = "single",
+  RETRY = {},
+  onStep = () => {}
+}) {
+  const startedAt = Date.now();
+  const item = { TARGET_DATE, TARGET_TIME, TARGET_NAME, EVENT_ID, NEW_CAPACITY, SCOPE };
+  const profile = PROFILE || (await getProfile());
+  const recorder = RUN_ID ? createRecorder(RUN_ID, ARTIFACTS) : null;
+  const target = { TARGET_DATE, TARGET_TIME, TARGET_NAME, NEW_CAPACITY, SCOPE, EVENT_ID, MATCH, EXPECT_CURRENT, DRY_RUN, DEBUG };
+  const save = trackSave(onStep);
+
+  // Browserless first when asked; only HTTP_UNSUPPORTED (not a match or portal error) falls
+  // back, and once it has the remaining attempts stay on the browser
+  let fallback = null;
+  const attempt = async () => {
+    if (DRIVER === "http" && !fallback) {
+      try {
+        const result = await runHttpCapacity({ baseUrl: PORTAL_URL, email, password, profile, step: makeStep(save.onStep), ...target });
+        return { ...result, driver: "http" };
+      } catch (err) {
+        if (err?.code === "LOGIN_FAILED") loginFailures.inc({ driver: "http" });
+        if (err?.code !== "HTTP_UNSUPPORTED") return { ...failure(err), driver: "http" };
+        logError("[HTTP DRIVER] Falling back to the browser:", err.message);
+        fallback = { from: "http", reason: err.message };
+      }
+    }
+    const result = await browserAttempt({ recorder, profile, onStep: save.onStep }, async (page, step) => {
+      // 1) Login (or reuse the pooled session)
+      await ensureSession(page, step, email, password, DEBUG);
+
+      // 2) Calendar nav (robust)
+      await openCalendar(page, step, email, password, DEBUG);
+
+      // 3–7) Date, event, capacity, save, confirm
+      return updateCapacity(page, step, { ...target, STRICT_REQUIRE_NAME });
+    });
+    return { ...result, driver: "browser", ...(fallback ? { fallback } : {}) };
+  };
+
+  const result = await withRetries(attempt, { ...RETRY, label: RUN_ID || "run", retryable: () => !save.started });
+  return DRY_RUN ? result : audit(AUDIT, { email, RUN_ID, startedAt, item }, result);
+}
+
+// ---------- Patch runner (any mapped form fields) ----------
+export async function runPatch({
+  email,
+  password,
+  TARGET_DATE,
+  TARGET_TIME,
+  TARGET_NAME = "",
+  FIELDS,
+  SCOPE = "single",
+  STRICT_REQUIRE_NAME = true,
+  EVENT_ID = "",
+  MATCH = {},
+  DRY_RUN = false,
+  DEBUG = false,
+  RUN_ID = null,
+  ARTIFACTS,
+  PROFILE = null,
+  AUDIT = {},
+  RETRY = {},
+  onStep = () => {}
+}) {
+  const startedAt = Date.now();
+  const item = { TARGET_DATE, TARGET_TIME, TARGET_NAME, EVENT_ID, FIELDS, SCOPE };
+  const recorder = RUN_ID ? createRecorder(RUN_ID, ARTIFACTS) : null;
+  const profile = PROFILE || (await getProfile());
+  const save = trackSave(onStep);
+
+  const result = await withRetries(
+    () =>
+      browserAttempt({ recorder, profile, onStep: save.onStep }, async (page, step) => {
+        await ensureSession(page, step, email, password, DEBUG);
+        await openCalendar(page, step, email, password, DEBUG);
+        return patchClass(page, step, {
+          TARGET_DATE,
+          TARGET_TIME,
+          TARGET_NAME,
+          FIELDS,
+          SCOPE,
+          STRICT_REQUIRE_NAME,
+          EVENT_ID,
+          MATCH,
+          DRY_RUN,
+          DEBUG
+        });
+      }),
+    { ...RETRY, label: RUN_ID || "patch", retryable: () => !save.started }
+  );
+  return DRY_RUN ? result : audit(AUDIT, { email, RUN_ID, startedAt, item }, result);
+}
+
+// ---------- Batch runner (one login, many classes) ----------
+// Each item is attempted independently: a failed match is recorded and the
+// calendar is reopened before moving on to the next item. Sign-in and each item
+// are retried on their own when they fail transiently (an item only until its save has been
+// sent); `attempts` is per item.
+export async function runFitpassBatch({
+  email,
+  password,
+  items,
+  STRICT_REQUIRE_NAME = true,
+  MATCH = {},
+  DRY_RUN = false,
+  DEBUG = false,
+  RUN_ID = null,
+  ARTIFACTS,
+  PROFILE = null,
+  AUDIT = {},
+  RETRY = {},
+  onStep = () => {}
+}) {
+  const recorder = RUN_ID ? createRecorder(RUN_ID, ARTIFACTS) : null;
+  const profile = PROFILE || (await getProfile());
+  let lease, page;
+  try {
+    lease = await acquireBrowser();
+    page = await openPage(lease.context, recorder, profile);
+  } catch (err) {
+    await lease?.release();
+    return { ...failure(err), attempts: 1, results: [] };
+  }
+  const save = trackSave(onStep);
+  const step = makeStep(save.onStep, { page, recorder });
+
+  const session = await withRetries(
+    async () => {
+      try {
+        await ensureSession(page, step, email, password, DEBUG);
+        await openCalendar(page, step, email, password, DEBUG);
+        return { ok: true };
+      } catch (err) {
+        return failure(err);
+      }
+    },
+    { ...RETRY, label: `${RUN_ID || "batch"} sign-in` }
+  );
+  if (!session.ok) return finishRun(page, lease, recorder, { ...session, results: [] });
+
+  const results = [];
+  for (const [i, item] of items.entries()) {
+    const label = `[${i + 1}/${items.length}]`;
+    const itemStep = (name, fn) => step(`${label} ${name}`, fn);
+    const startedAt = Date.now();
+    save.started = false;
+    let result = await withRetries(
+      async () => {
+        let r;
+        try {
+          if (!(await onCalendarPage(page))) await openCalendar(page, itemStep, email, password, DEBUG);
+          r = await updateCapacity(page, itemStep, { ...item, STRICT_REQUIRE_NAME, MATCH, DRY_RUN, DEBUG });
+        } catch (err) {
+          r = failure(err);
+        }
+        if (!r.ok) {
+          await recorder?.capture(page, `item ${i + 1} failure`, { failure: true });
+          await closeModalIfOpen(page, DEBUG).catch(() => {});
+        }
+        return r;
+      },
+      { ...RETRY, label: `${RUN_ID || "batch"} ${label}`, retryable: () => !save.started }
+    );
+    if (!DRY_RUN) result = await audit(AUDIT, { email, RUN_ID, startedAt, item }, result);
+    results.push({
+      targetDate: item.TARGET_DATE,
+      targetTime: item.TARGET_TIME,
+      targetName: item.TARGET_NAME,
+      ...(item.EVENT_ID ? { eventId: item.EVENT_ID } : {}),
+      newCapacity: item.NEW_CAPACITY,
+      ...result
+    });
+  }
+
+  const failed = results.filter((r) => !r.ok).length;
+  const artifacts = recorder ? await recorder.finish() : [];
+  await page.close().catch(() => {});
+  await lease.release();
+  return {
+    ok: failed === 0,
+    message: `${results.length - failed}/${results.length} classes ${DRY_RUN ? "matched" : "updated"}`,
+    results,
+    ...(artifacts.length ? { artifacts } : {})
+  };
+}
+
+// ---------- Schedule runner (read-only) ----------
+export async function runSchedule({
+  email,
+  password,
+  FROM,
+  TO,
+  DEBUG = false,
+  RUN_ID = null,
+  ARTIFACTS,
+  PROFILE = null,
+  RETRY = {},
+  onStep = () => {}
+}) {
+  const recorder = RUN_ID ? createRecorder(RUN_ID, ARTIFACTS) : null;
+  const profile = PROFILE || (await getProfile());
+
+  return withRetries(
+    () =>
+      browserAttempt({ recorder, profile, onStep }, async (page, step) => {
+        await ensureSession(page, step, email, password, DEBUG);
+        await openCalendar(page, step, email, password, DEBUG);
+
+        const classes = [];
+        for (const day of dateRange(FROM, TO)) {
+          await step("Select date " + day, () => gotoDate(page, day, DEBUG));
+          await page
+            .waitForSelector(profileOf(page).selectors.events, { visible: true, timeout: TIMEOUT })
+            .catch(() => {});
+          classes.push(...(await step("Read classes " + day, () => collectEvents(page, day))));
+        }
+        return { ok: true, from: FROM, to: TO, count: classes.length, classes };
+      }),
+    { ...RETRY, label: RUN_ID || "schedule" }
+  );
+}
+
+// ---------- Health check runner (read-only canary) ----------
+// Leases a browser, opens the login page and checks the profile's critical selectors stage
+// by stage: login → (with credentials) sign in → calendar → open the first event's modal.
+// Never edits anything. Each check reports ok/ms/error; `required: false` ones only warn.
+export async function runHealthCheck({ email = null, password = null, DEBUG = false, PROFILE = null } = {}) {
+  const started = Date.now();
+  const profile = PROFILE || (await getProfile());
+  const { selectors: S, paths } = profile;
+  const checks = [];
+  let lease = null;
+  let page = null;
+
+  const check = async (stage, name, fn, { required = true } = {}) => {
+    const t = Date.now();
+    try {
+      const detail = await fn();
+      checks.push({ stage, name, ok: true, ms: Date.now() - t, ...(detail ? { detail } : {}) });
+      return true;
+    } catch (err) {
+      checks.push({ stage, name, ok: false, required, ms: Date.now() - t, error: err?.message || String(err) });
+      return false;
+    }
+  };
+  const skip = (stage, name, reason) => checks.push({ stage, name, ok: null, skipped: reason });
+  const resolves = (key) => async () => {
+    const sel = [].concat(S[key]).join(", ");
+    if (!(await page.$(sel))) throw new Error(`No element matches ${sel}`);
+  };
+
+  const run = async () => {
+    const launched = await check("browser", "Launch browser", async () => {
+      lease = await acquireBrowser();
+      page = await openPage(lease.context, null, profile);
+    });
+    if (!launched) return;
+
+    const loginPage = await check("login", "Open login page", async () => {
+      await page.goto(PORTAL_URL + paths.login, { waitUntil: "domcontentloaded", timeout: 15000 });
+    });
+    if (!loginPage) return;
+    for (const key of ["loginEmail", "loginPassword", "loginSubmit"]) await check("login", `selectors.${key}`, resolves(key));
+
+    if (!email || !password) {
+      skip("calendar", "Reach calendar", "no canary account");
+      return;
+    }
+    const step = makeStep(undefined, { page });
+    if (!(await check("login", "Sign in", () => ensureSession(page, step, email, password, DEBUG)))) return;
+    if (!(await check("calendar", "Reach calendar", () => openCalendar(page, step, email, password, DEBUG)))) return;
+    for (const key of ["calendarView", "nextButtons", "prevButtons"]) await check("calendar", `selectors.${key}`, resolves(key));
+
+    const events = await page.$$(S.events);
+    const hasEvents = await check(
+      "calendar",
+      "selectors.events",
+      async () => {
+        if (!events.length) throw new Error(`No element matches ${S.events} (empty week?)`);
+        return `${events.length} events`;
+      },
+      { required: false }
+    );
+    if (!hasEvents) {
+      skip("modal", "Open class modal", "no events in the current view");
+      return;
+    }
+
+    const modal = await check("modal", "Open class modal", async () => {
+      await events[0].evaluate((n) => n.scrollIntoView({ block: "center", behavior: "instant" }));
+      await events[0].click();
+      await page.waitForSelector(S.modal.join(", "), { visible: true, timeout: TIMEOUT });
+    });
+    if (modal) await check("modal", "selectors.modalEdit", resolves("modalEdit"));
+    await closeModalIfOpen(page, DEBUG).catch(() => {});
+  };
+
+  try {
+    await run();
+  } finally {
+    await page?.close().catch(() => {});
+    await lease?.release();
+  }
+
+  return {
+    ok: checks.every((c) => c.ok !== false || c.required === false),
+    checkedAt: new Date(started).toISOString(),
+    ms: Date.now() - started,
+    profile: { name: profile.name, version: profile.version },
+    login: !!(email && password),
+    checks
+  };
+}
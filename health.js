@@ -0,0 +1,58 @@
+// health.js — deep health checks (on demand + periodic background mode) and the last result
+
+import { runHealthCheck } from "./fitpass.js";
+import { getAccount } from "./credentials.js";
+import { getProfile } from "./profiles.js";
+import { log, logError } from "./log.js";
+
+// ---------- Config ----------
+const HEALTH_CHECK_INTERVAL_MS = Number(process.env.HEALTH_CHECK_INTERVAL_MS || 0); // 0 = no background checks
+export const HEALTH_CANARY_ACCOUNT = process.env.HEALTH_CANARY_ACCOUNT || ""; // stored alias used to sign in
+
+// ---------- State ----------
+let last = null;
+const inflight = new Map(); // "account|login" → Promise (concurrent callers share one run)
+
+// ---------- Public API ----------
+export async function deepHealthCheck({ account = HEALTH_CANARY_ACCOUNT, login = true } = {}) {
+  const key = `${account}|${login}`;
+  if (inflight.has(key)) return inflight.get(key);
+  const run = (async () => {
+    let creds = {};
+    if (login && account) {
+      creds = await getAccount(account);
+      if (!creds) throw new Error(`Unknown canary account "${account}".`);
+    }
+    const result = await runHealthCheck({ ...creds, PROFILE: await getProfile(login ? account : null) });
+    const report = { ...result, account: login && account ? account : null };
+    // Log transitions only, so the background mode doesn't flood the logs
+    if (!report.ok && (!last || last.ok)) logError("[HEALTH] Deep check FAILING:", failedChecks(report));
+    if (report.ok && last && !last.ok) log("[HEALTH] Deep check recovered");
+    last = report;
+    return report;
+  })().finally(() => inflight.delete(key));
+  inflight.set(key, run);
+  return run;
+}
+
+export const lastHealthCheck = () => last;
+
+const failedChecks = (report) =>
+  report.checks
+    .filter((c) => c.ok === false)
+    .map((c) => `${c.stage}/${c.name}: ${c.error}`)
+    .join("; ");
+
+// ---------- Background mode ----------
+let timer = null;
+export function startHealthMonitor() {
+  if (!HEALTH_CHECK_INTERVAL_MS || timer) return;
+  const tick = () =>
+    deepHealthCheck().catch((err) => {
+      last = { ok: false, checkedAt: new Date().toISOString(), error: err?.message || String(err), checks: [] };
+      logError("[HEALTH] Deep check could not run:", err);
+    });
+  timer = setInterval(tick, HEALTH_CHECK_INTERVAL_MS);
+  timer.unref();
+  tick();
+}
@@ -0,0 +1,115 @@
+// history.js — append-only audit history of capacity writes (JSON lines) with query + CSV export
+
+import { randomBytes } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// ---------- Config ----------
+const HISTORY_FILE = path.resolve(
+  process.env.HISTORY_FILE || path.join(process.env.DATA_DIR || "data", "history.jsonl")
+);
+
+const norm = (s) =>
+  String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// ---------- Write ----------
+// One line per attempted write: who (account, API key), what (target, matched event),
+// capacity before/after, outcome and timing. Returns the stored entry (with its id).
+export async function recordChange(change) {
+  const entry = { id: randomBytes(6).toString("hex"), at: new Date().toISOString(), ...change };
+  await fs.mkdir(path.dirname(HISTORY_FILE), { recursive: true });
+  await fs.appendFile(HISTORY_FILE, JSON.stringify(entry) + "\n");
+  return entry;
+}
+
+// ---------- Read ----------
+async function readAll() {
+  let text;
+  try {
+    text = await fs.readFile(HISTORY_FILE, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null; // torn last line after a crash
+      }
+    })
+    .filter(Boolean);
+}
+
+export async function getChange(id) {
+  return (await readAll()).find((e) => e.id === id) || null;
+}
+
+// Successful reverts of change `id` (entries written with revertOf = id).
+export async function listReverts(id) {
+  return (await readAll()).filter((e) => e.revertOf === id && e.ok);
+}
+
+// Filters (all optional): from/to (YYYY-MM-DD, when the change was made, local time),
+// classFrom/classTo (the class date), name (class name or matched preview, accent-insensitive),
+// account, keyId, outcome ("ok" | "failed"), accounts (allow-list for restricted API keys).
+// Newest first.
+export async function queryHistory({ from, to, classFrom, classTo, name, account, keyId, outcome, accounts, limit = 500 } = {}) {
+  const since = from ? Date.parse(from + "T00:00:00") : -Infinity;
+  const until = to ? Date.parse(to + "T23:59:59.999") : Infinity;
+  const needle = norm(name);
+  return (await readAll())
+    .filter((e) => {
+      const at = Date.parse(e.at);
+      if (at < since || at > until) return false;
+      if (classFrom && e.targetDate < classFrom) return false;
+      if (classTo && e.targetDate > classTo) return false;
+      if (needle && !norm(e.targetName).includes(needle) && !norm(e.match?.preview).includes(needle)) return false;
+      if (account && e.account !== account && e.email !== account) return false;
+      if (keyId && e.keyId !== keyId) return false;
+      if (outcome && (outcome === "ok") !== !!e.ok) return false;
+      if (accounts?.length && !accounts.includes(e.account)) return false;
+      return true;
+    })
+    .reverse()
+    .slice(0, limit);
+}
+
+// ---------- CSV ----------
+const CSV_COLUMNS = [
+  ["id", (e) => e.id],
+  ["at", (e) => e.at],
+  ["source", (e) => e.source],
+  ["account", (e) => e.account || e.email],
+  ["keyId", (e) => e.keyId],
+  ["targetDate", (e) => e.targetDate],
+  ["targetTime", (e) => e.targetTime],
+  ["targetName", (e) => e.targetName],
+  ["eventId", (e) => e.match?.id || e.eventId],
+  ["matched", (e) => e.match?.preview],
+  ["previousCapacity", (e) => e.previousCapacity],
+  ["newCapacity", (e) => e.newCapacity],
+  ["changes", (e) => e.changes?.map((c) => `${c.field}: ${c.from} → ${c.to}`).join("; ")],
+  ["ok", (e) => e.ok],
+  ["code", (e) => e.code],
+  ["error", (e) => e.error],
+  ["ms", (e) => e.ms],
+  ["runId", (e) => e.runId]
+];
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function historyCsv(entries) {
+  const rows = [CSV_COLUMNS.map(([h]) => h).join(",")];
+  for (const e of entries) rows.push(CSV_COLUMNS.map(([, get]) => csvCell(get(e))).join(","));
+  return rows.join("\r\n") + "\r\n";
+}
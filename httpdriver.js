@@ -0,0 +1,373 @@
+// httpdriver.js — browserless driver: signs in with a cookie jar + CSRF token, reads the
+// calendar's JSON event feed and submits the schedule edit form directly (no Chromium).
+//
+// Paths and form field names come from the profile's `http` section; matching and the form
+// gate are the browser driver's (matching.js). Anything this driver can't make sense of (no
+// JSON feed, no login/edit form) throws HTTP_UNSUPPORTED so runFitpass can fall back to the browser.
+
+import { forgetSession, getSessionCookies, saveSessionCookies } from "./pool.js";
+import { FitpassError } from "./errors.js";
+import { formTextMatches, pickEvent } from "./matching.js";
+import { fill, scopeText, scopeValue } from "./profiles.js";
+import { debugLogger, log, registerSecret } from "./log.js";
+
+// ---------- Config ----------
+const HTTP_TIMEOUT_MS = Number(process.env.HTTP_DRIVER_TIMEOUT_MS || 15000);
+const MAX_REDIRECTS = 5;
+
+const unsupported = (message) => new FitpassError("HTTP_UNSUPPORTED", message);
+
+// ---------- HTML helpers (server-rendered Rails forms, no DOM) ----------
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+const decode = (s) =>
+  String(s ?? "").replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] !== "#") return ENTITIES[e.toLowerCase()] ?? m;
+    return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+  });
+
+const attrOf = (tag, name) => {
+  const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return m ? decode(m[1] ?? m[2] ?? m[3]) : null;
+};
+const hasAttr = (tag, name) => new RegExp(`\\s${name}(?=[\\s=>/])`, "i").test(tag);
+
+// Visible text: scripts/styles dropped, tags stripped, entities decoded, whitespace collapsed.
+const textOf = (html) =>
+  decode(
+    String(html)
+      .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Every <form>: action/method, the fields a browser would submit (checked boxes, selected
+// options, no buttons) and its submit buttons.
+function parseForms(html) {
+  return [...String(html).matchAll(/<form\b([^>]*)>([\s\S]*?)<\/form>/gi)].map(([, attrs, body]) => {
+    const fields = [];
+    const buttons = [];
+    for (const [tag] of body.matchAll(/<input\b[^>]*>/gi)) {
+      const name = attrOf(tag, "name");
+      const type = (attrOf(tag, "type") || "text").toLowerCase();
+      if (type === "submit") buttons.push({ name, value: attrOf(tag, "value") ?? "", text: attrOf(tag, "value") ?? "" });
+      if (!name || ["submit", "button", "image", "reset", "file"].includes(type)) continue;
+      if (["checkbox", "radio"].includes(type) && !hasAttr(tag, "checked")) continue;
+      fields.push([name, attrOf(tag, "value") ?? (type === "checkbox" ? "on" : "")]);
+    }
+    for (const [, tag, inner] of body.matchAll(/<textarea\b([^>]*)>([\s\S]*?)<\/textarea>/gi)) {
+      const name = attrOf(tag, "name");
+      if (name) fields.push([name, decode(inner)]);
+    }
+    for (const [, tag, inner] of body.matchAll(/<select\b([^>]*)>([\s\S]*?)<\/select>/gi)) {
+      const name = attrOf(tag, "name");
+      const options = [...inner.matchAll(/<option\b([^>]*)>([^<]*)/gi)];
+      const chosen = options.find(([, a]) => hasAttr(a, "selected")) || options[0];
+      if (name && chosen) fields.push([name, attrOf(chosen[1], "value") ?? decode(chosen[2]).trim()]);
+    }
+    for (const [, tag, inner] of body.matchAll(/<button\b([^>]*)>([\s\S]*?)<\/button>/gi)) {
+      if ((attrOf(tag, "type") || "submit").toLowerCase() !== "submit") continue;
+      buttons.push({ name: attrOf(tag, "name"), value: attrOf(tag, "value") ?? "", text: textOf(inner) });
+    }
+    return {
+      id: attrOf(attrs, "id"),
+      action: attrOf(attrs, "action"),
+      method: (attrOf(attrs, "method") || "get").toUpperCase(),
+      text: textOf(body),
+      fields,
+      buttons
+    };
+  });
+}
+
+const formWithField = (html, field) => parseForms(html).find((f) => f.fields.some(([n]) => n === field)) || null;
+const fieldValue = (form, field) => form.fields.find(([n]) => n === field)?.[1];
+
+// Flash / validation texts: elements carrying one of the profile's message classes.
+function readMessages(html, classes) {
+  const out = [];
+  const src = String(html);
+  for (const m of src.matchAll(/<(\w+)\b([^>]*)>/g)) {
+    const cls = (attrOf(m[2], "class") || "").split(/\s+/);
+    if (!classes.some((c) => cls.includes(c))) continue;
+    const rest = src.slice(m.index + m[0].length);
+    const end = rest.search(new RegExp(`</${m[1]}>`, "i"));
+    const t = textOf(end < 0 ? rest : rest.slice(0, end)).slice(0, 300);
+    if (t && !out.includes(t)) out.push(t);
+  }
+  return out;
+}
+
+// ---------- Client (cookie jar shared with the browser pool's session store) ----------
+function createClient(baseUrl, email) {
+  const host = new URL(baseUrl).hostname;
+  const jar = new Map();
+  for (const c of getSessionCookies(email) || []) {
+    if (!c.domain || host.endsWith(String(c.domain).replace(/^\./, ""))) jar.set(c.name, c.value);
+  }
+
+  const storeCookies = (res) => {
+    for (const header of res.headers.getSetCookie()) {
+      const [pair, ...attrs] = header.split(";");
+      const i = pair.indexOf("=");
+      const name = pair.slice(0, i).trim();
+      const value = pair.slice(i + 1).trim();
+      const expired = attrs.some((a) => /^\s*max-age\s*=\s*0\s*$/i.test(a) || /^\s*expires\s*=.*1970/i.test(a));
+      if (!name) continue;
+      if (expired || !value) jar.delete(name);
+      else jar.set(name, value);
+    }
+  };
+
+  // Follows redirects by hand so every hop's Set-Cookie lands in the jar.
+  async function request(method, url, { form, accept } = {}) {
+    let target = new URL(url, baseUrl).href;
+    let body = form ? new URLSearchParams(form).toString() : undefined;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const res = await fetch(target, {
+        method,
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+        headers: {
+          ...(jar.size ? { cookie: [...jar].map(([k, v]) => `${k}=${v}`).join("; ") } : {}),
+          ...(body ? { "content-type": "application/x-www-form-urlencoded" } : {}),
+          ...(accept ? { accept } : {})
+        }
+      });
+      storeCookies(res);
+      const location = res.headers.get("location");
+      if (res.status >= 300 && res.status < 400 && location) {
+        target = new URL(location, target).href;
+        if (res.status !== 307 && res.status !== 308) {
+          method = "GET";
+          body = undefined;
+        }
+        continue;
+      }
+      if (res.status >= 400) log("[HTTP " + res.status + "]", target);
+      if (res.status >= 500) {
+        throw new FitpassError("PORTAL_UNAVAILABLE", `The portal answered HTTP ${res.status} for ${target}.`);
+      }
+      return { status: res.status, url: target, text: await res.text() };
+    }
+    throw unsupported(`Too many redirects from ${url}.`);
+  }
+
+  return {
+    request,
+    hasSession: () => jar.size > 0,
+    clear: () => jar.clear(),
+    save: () => saveSessionCookies(email, [...jar].map(([name, value]) => ({ name, value, domain: host, path: "/" })))
+  };
+}
+
+// ---------- Session ----------
+const onLoginPage = (res, profile) =>
+  new URL(res.url).pathname === new URL(profile.paths.login, res.url).pathname ||
+  !!formWithField(res.text, profile.http.loginEmailField);
+
+async function login(client, step, profile, email, password) {
+  const { paths, http: H } = profile;
+  const page = await step("Open login", () => client.request("GET", paths.login));
+  const form = formWithField(page.text, H.loginEmailField);
+  if (!form) throw unsupported(`No login form with a "${H.loginEmailField}" field at ${paths.login}.`);
+  const credentials = new Set([H.loginEmailField, H.loginPasswordField]);
+  const res = await step("Submit login", () =>
+    client.request("POST", form.action || page.url, {
+      form: [...form.fields.filter(([n]) => !credentials.has(n)), [H.loginEmailField, email], [H.loginPasswordField, password]]
+    })
+  );
+  if (onLoginPage(res, profile)) {
+    throw new FitpassError("LOGIN_FAILED", "Login failed: still on the sign-in page after submitting credentials.");
+  }
+  client.save();
+}
+
+// ---------- Capacity edit ----------
+const nextDay = (iso) => {
+  const d = new Date(iso + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+};
+// "2025-10-21T07:00:00-06:00" → "07:00" (the portal's wall-clock time, as the calendar shows it)
+const clock = (iso) => String(iso || "").match(/T(\d{2}:\d{2})/)?.[1] || "";
+
+// FullCalendar event objects for TARGET_DATE as scoring candidates ({ preview, id, href }).
+async function loadEvents(get, profile, TARGET_DATE) {
+  const url = fill(profile.http.eventFeed, { start: TARGET_DATE, end: nextDay(TARGET_DATE) });
+  const res = await get(url, { accept: "application/json" });
+  let data;
+  try {
+    data = JSON.parse(res.text);
+  } catch {
+    throw unsupported(`The event feed ${url} did not return JSON (HTTP ${res.status}).`);
+  }
+  const list = Array.isArray(data) ? data : data?.events;
+  if (!Array.isArray(list)) throw unsupported(`The event feed ${url} did not return a list of events.`);
+
+  const eventIdRe = new RegExp(profile.patterns.eventId);
+  return list
+    .filter((ev) => String(ev.start || "").slice(0, 10) === TARGET_DATE)
+    .map((ev) => {
+      const href = ev.url || null;
+      const times = [clock(ev.start), clock(ev.end)].filter(Boolean).join(" - ");
+      return {
+        preview: `${times} ${ev.title || ""}`.toLowerCase().trim().replace(/\s+/g, " ").slice(0, 160),
+        id: ev.id != null ? String(ev.id) : href?.match(eventIdRe)?.[1] || null,
+        href
+      };
+    });
+}
+
+async function openEditForm(get, profile, match) {
+  if (!match.id) throw unsupported(`Event "${match.preview}" has no id in the feed.`);
+  const url = fill(profile.http.editForm, { id: match.id });
+  const res = await get(url);
+  const form = formWithField(res.text, profile.http.capacityField);
+  if (!form) throw unsupported(`No edit form with a "${profile.http.capacityField}" field at ${url}.`);
+  return { form, page: res };
+}
+
+const asCapacity = (raw) => (raw !== "" && raw != null && !isNaN(Number(raw)) ? Number(raw) : raw);
+
+// Same contract as fitpass.js updateCapacity (result shape, DRY_RUN, EXPECT_CURRENT, NO_MATCH /
+// AMBIGUOUS_MATCH / CAPACITY_CHANGED), over plain HTTP. Throws on failure.
+export async function runHttpCapacity({
+  baseUrl,
+  email,
+  password,
+  profile,
+  step,
+  TARGET_DATE,
+  TARGET_TIME,
+  TARGET_NAME = "",
+  NEW_CAPACITY,
+  EVENT_ID = "",
+  MATCH = {},
+  EXPECT_CURRENT = null,
+  SCOPE = "single",
+  DRY_RUN = false,
+  DEBUG = false
+}) {
+  const dlog = debugLogger(DEBUG);
+  const { http: H } = profile;
+  registerSecret(password);
+  const client = createClient(baseUrl, email);
+  if (!client.hasSession()) await login(client, step, profile, email, password);
+
+  // GET that survives an expired session: log in again once and repeat the request
+  const get = async (url, opts) => {
+    const res = await client.request("GET", url, opts);
+    if (!onLoginPage(res, profile)) return res;
+    dlog("Stored session expired; logging in again");
+    forgetSession(email);
+    client.clear();
+    await login(client, step, profile, email, password);
+    return client.request("GET", url, opts);
+  };
+
+  const events = await step("Load events " + TARGET_DATE, () => loadEvents(get, profile, TARGET_DATE));
+  const best = await step("Match event", async () =>
+    pickEvent(events, { ...MATCH, TARGET_DATE, TARGET_TIME, TARGET_NAME, EVENT_ID }, dlog)
+  );
+  const match = { preview: best.preview, score: best.score, id: best.id, href: best.href };
+
+  const { form, page: editPage } = await step("Open edit form", async () => {
+    const opened = await openEditForm(get, profile, match);
+    const gate = formTextMatches(opened.form.text, textOf(opened.page.text), { TARGET_DATE, TARGET_TIME, TARGET_NAME });
+    dlog("  [Form check] timeOK:", gate.timeOK, "nameOK:", gate.nameOK, "dateOK:", gate.dateOK);
+    if (!gate.ok) {
+      throw new FitpassError(
+        "NO_MATCH",
+        `No matching event for ${TARGET_DATE}${TARGET_TIME ? ` at "${TARGET_TIME}"` : ""}${TARGET_NAME ? ` (${TARGET_NAME})` : ""} (form check failed).`
+      );
+    }
+    return opened;
+  });
+
+  const currentCapacity = asCapacity(fieldValue(form, H.capacityField));
+
+  if (EXPECT_CURRENT != null && String(currentCapacity) !== String(EXPECT_CURRENT)) {
+    throw new FitpassError(
+      "CAPACITY_CHANGED",
+      `Capacity is now ${currentCapacity}, not ${EXPECT_CURRENT}; the class was edited since. Use force to overwrite.`,
+      { match, currentCapacity, expectedCapacity: EXPECT_CURRENT }
+    );
+  }
+
+  if (DRY_RUN) {
+    return {
+      ok: true,
+      dryRun: true,
+      message: `Would change capacity ${currentCapacity} → ${NEW_CAPACITY} for ${TARGET_DATE} ${TARGET_TIME}${TARGET_NAME ? ` (${TARGET_NAME})` : ""}`,
+      match,
+      currentCapacity,
+      proposedCapacity: NEW_CAPACITY
+    };
+  }
+
+  const saved = await step("Save form", () =>
+    // A form without an action posts back to the page it came from
+    client.request(form.method === "GET" ? "GET" : "POST", form.action || editPage.url, {
+      form: form.fields.map(([n, v]) => [n, n === H.capacityField ? String(NEW_CAPACITY) : v])
+    })
+  );
+  const messages = readMessages(saved.text, H.messageClasses);
+
+  // The recurrence prompt: a form whose submit buttons carry the scope, picked by label (else value)
+  const wanted = scopeText(profile, SCOPE);
+  await step(`Confirm "${wanted}"`, async () => {
+    const prompt = parseForms(saved.text).find((f) => f.buttons.some((b) => b.name === H.scopeField));
+    if (!prompt) {
+      // Like the browser driver: without the prompt nothing confirms the save went through
+      const said = messages.length ? ` Portal says: ${messages.join(" | ")}` : "";
+      throw new FitpassError(
+        messages.length ? "SAVE_REJECTED" : "SAVE_NOT_CONFIRMED",
+        `Could not find the "${wanted}" button.` + said
+      );
+    }
+    const choices = prompt.buttons.filter((b) => b.name === H.scopeField);
+    const button =
+      choices.find((b) => b.text.toLowerCase().includes(wanted)) ||
+      choices.find((b) => b.value === scopeValue(profile, SCOPE));
+    if (!button) {
+      const offered = choices.map((b) => b.text);
+      throw new FitpassError(
+        "SCOPE_NOT_OFFERED",
+        `Scope "${SCOPE}" is not offered for this class (the portal offers: ${offered.map((l) => `"${l}"`).join(", ")}).`,
+        { scope: SCOPE, offered }
+      );
+    }
+    const res = await client.request(prompt.method === "GET" ? "GET" : "POST", prompt.action || saved.url, {
+      form: [...prompt.fields, [button.name, button.value]]
+    });
+    for (const m of readMessages(res.text, H.messageClasses)) if (!messages.includes(m)) messages.push(m);
+  });
+  client.save();
+
+  // Read the value back from a fresh edit form: only a persisted value counts as success
+  const savedCapacity = await step("Verify saved capacity", async () => {
+    const { form: again } = await openEditForm(get, profile, match);
+    return asCapacity(fieldValue(again, H.capacityField));
+  });
+  const verified = String(savedCapacity) === String(NEW_CAPACITY);
+
+  return {
+    ok: verified,
+    ...(verified
+      ? {
+          message: `Capacity ${NEW_CAPACITY} set for ${TARGET_DATE} ${TARGET_TIME}${TARGET_NAME ? ` (${TARGET_NAME})` : ""}`
+        }
+      : {
+          error: `Capacity did not persist: portal shows ${savedCapacity}, expected ${NEW_CAPACITY}.`,
+          code: "SAVE_NOT_CONFIRMED"
+        }),
+    match,
+    previousCapacity: currentCapacity,
+    newCapacity: NEW_CAPACITY,
+    scope: SCOPE,
+    verified,
+    messages
+  };
+}
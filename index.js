@@ -1,219 +1,350 @@
-import puppeteer from "puppeteer";
-
-/**
- * =========================
- *  Env configuration
- * =========================
- */
-const ENV = {
-  // Required
-  LOGIN_URL: must("LOGIN_URL"),        // e.g. https://partners.fitpass.mx/login  (put the real login URL)
-  EMAIL: must("EMAIL"),
-  PASSWORD: must("PASSWORD"),
-  TARGET_DATE: must("TARGET_DATE"),    // YYYY-MM-DD (portal date should match this pattern)
-  TARGET_TIME: must("TARGET_TIME"),    // e.g. 07:00 (24h) or 07:00 a.m. depending on portal text
-  NEW_CAPACITY: parseInt(must("NEW_CAPACITY"), 10),
-
-  // Optional refiners
-  TARGET_NAME: opt("TARGET_NAME", ""), // e.g. "ponte reformer" (empty = ignore name)
-  STRICT_REQUIRE_NAME: opt("STRICT_REQUIRE_NAME", "true") === "true",
-  DEBUG: opt("DEBUG", "false") === "true",
-
-  // Optional selector overrides (defaults fit many portals; override if needed)
-  SEL_EMAIL: opt("SEL_EMAIL", 'input[name="email"], input[type="email"], #email'),
-  SEL_PASSWORD: opt("SEL_PASSWORD", 'input[name="password"], input[type="password"], #password'),
-  SEL_SUBMIT: opt("SEL_SUBMIT", 'button[type="submit"], button[data-testid="login"], .btn-primary'),
-
-  // After login, where the classes schedule lives (if login redirects directly, leave empty)
-  SCHEDULE_URL: opt("SCHEDULE_URL", ""), // e.g. https://partners.fitpass.mx/schedule
-
-  // Calendar/date & classes listing assumptions (override as needed)
-  // calendar cells like: <td data-date="2025-10-21">…</td>
-  SEL_DAY_CELL: opt("SEL_DAY_CELL", 'td[data-date="%YYYY-MM-DD%"], [data-date="%YYYY-MM-DD%"]'),
-
-  // Each class row/card selector:
-  SEL_CLASS_ROW: opt("SEL_CLASS_ROW", '[data-testid="class-row"], .class-row, .class-item, li[role="row"]'),
-
-  // Where the time & name appear inside a class row:
-  SEL_CLASS_TIME: opt("SEL_CLASS_TIME", '.time, [data-testid="class-time"], .class-time'),
-  SEL_CLASS_NAME: opt("SEL_CLASS_NAME", '.name, [data-testid="class-name"], .class-name'),
-
-  // Button to open/edit a class
-  SEL_CLASS_OPEN: opt("SEL_CLASS_OPEN", 'button:has-text("Editar"), a:has-text("Editar"), [data-testid="edit-class"], .edit'),
-
-  // Capacity input and save button inside the edit modal/page
-  SEL_CAPACITY_INPUT: opt("SEL_CAPACITY_INPUT", 'input[name="capacity"], #capacity, [data-testid="capacity"]'),
-  SEL_SAVE: opt("SEL_SAVE", 'button[type="submit"], button:has-text("Guardar"), [data-testid="save"], .btn-primary'),
-};
+#!/usr/bin/env node
+// index.js — `fitpass` CLI on top of the same automation core the API runs (fitpass.js)
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { closePool } from "./pool.js";
+import { DRIVERS, EDIT_SCOPES, ISO_DATE, failure, isTransient, runFitpass, runFitpassBatch, runPatch, runSchedule, unknownFields } from "./fitpass.js";
+import { ALIAS_RE, deleteAccount, getAccount, listAccounts, saveAccount } from "./credentials.js";
+import { SCOPES, createApiKey, listApiKeys, revokeApiKey } from "./apikeys.js";
+import { getProfile } from "./profiles.js";
+import { configureLogs } from "./log.js";
+
+const USAGE = `Usage:
+  fitpass set-capacity --date YYYY-MM-DD --time HH:MM [--name TEXT] --capacity N [--event-id ID] [--scope S] [--driver D] [--dry-run]
+  fitpass patch --date YYYY-MM-DD --time HH:MM [--name TEXT] --set FIELD=VALUE [--set ...] [--scope S] [--dry-run]
+  fitpass list (--date YYYY-MM-DD | --from YYYY-MM-DD --to YYYY-MM-DD)
+  fitpass batch FILE.csv [--scope S] [--dry-run]
+  fitpass accounts (list | add ALIAS --email E --password P | remove ALIAS)
+  fitpass keys (list | create NAME --scopes S[,S] [--accounts A[,A]] | revoke ID)
+
+Options:
+  --account ALIAS       Stored account (env: FITPASS_ACCOUNT); needs FITPASS_CREDENTIALS_KEY
+  --email, --password   Portal credentials (env: FITPASS_EMAIL / FITPASS_PASSWORD, or EMAIL / PASSWORD)
+  --no-strict-name      Allow matches whose name doesn't contain --name (env: STRICT_REQUIRE_NAME=false)
+  --artifacts MODE      failure | steps | off (env: ARTIFACTS_MODE)
+  --scope S             Recurring classes: ${EDIT_SCOPES.join(" | ")} (default single = only this class)
+  --set FIELD=VALUE     patch: a form field from the profile's "fields" (room, instructor, startTime, …)
+  --driver D            set-capacity via ${DRIVERS.join(" | ")} (env: FITPASS_DRIVER); http falls back to browser
+  --scopes LIST         API key scopes: ${SCOPES.join(", ")}
+  --accounts LIST       Restrict an API key to these stored account aliases
+  --json                Print the result as JSON on stdout
+  --debug               Verbose matcher logs (env: DEBUG=true)
+  -h, --help
+
+Batch CSV columns (header row required): targetDate,targetTime,targetName,newCapacity[,eventId][,scope]
+(date,time,name,capacity also accepted).
+
+Exit codes: 0 ok · 1 run failed · 2 usage error · 3 no/ambiguous match · 4 batch partially failed
+            5 portal or browser unavailable (transient; retried RETRY_ATTEMPTS times)`;
+
+// ---------- Exit codes ----------
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, NO_MATCH: 3, PARTIAL: 4, TRANSIENT: 5 };
+
+class UsageError extends Error {}
+
+// ---------- Args ----------
+const { values: opts, positionals } = (() => {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        account: { type: "string" },
+        email: { type: "string" },
+        password: { type: "string" },
+        date: { type: "string" },
+        time: { type: "string" },
+        name: { type: "string" },
+        capacity: { type: "string" },
+        "event-id": { type: "string" },
+        from: { type: "string" },
+        to: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+        "no-strict-name": { type: "boolean", default: false },
+        artifacts: { type: "string" },
+        driver: { type: "string" },
+        set: { type: "string", multiple: true },
+        scope: { type: "string", default: "single" },
+        scopes: { type: "string" },
+        accounts: { type: "string" },
+        json: { type: "boolean", default: false },
+        debug: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false }
+      }
+    });
+  } catch (err) {
+    console.error(err.message + "\n\n" + USAGE);
+    process.exit(EXIT.USAGE);
+  }
+})();
 
-function must(name) {
-  const v = process.env[name];
-  if (!v) {
-    console.error(`[ENV] Missing required env var: ${name}`);
-    process.exit(2);
+const env = (...names) => names.map((n) => process.env[n]).find((v) => v != null && v !== "");
+
+async function credentials() {
+  const account = opts.account || env("FITPASS_ACCOUNT");
+  if (account) {
+    const creds = await getAccount(account);
+    if (!creds) throw new UsageError(`Unknown account "${account}".`);
+    return creds;
   }
-  return v;
-}
-function opt(name, def) {
-  return process.env[name] ?? def;
+  const email = opts.email || env("FITPASS_EMAIL", "EMAIL");
+  const password = opts.password || env("FITPASS_PASSWORD", "PASSWORD");
+  if (!email || !password) throw new UsageError("Missing credentials: --email/--password or FITPASS_EMAIL/FITPASS_PASSWORD.");
+  return { email, password };
 }
 
-const log = (...a) => console.log(...a);
-const dbg = (...a) => ENV.DEBUG && console.log("[DEBUG]", ...a);
-
-/**
- * =========================
- *  Helpers
- * =========================
- */
-async function waitAndType(page, selector, value, label = selector) {
-  await page.waitForSelector(selector, { timeout: 30000 });
-  await page.click(selector, { delay: 20 });
-  await page.keyboard.type(value, { delay: 20 });
-  dbg(`Typed into ${label}`);
+const common = async () => {
+  const account = opts.account || env("FITPASS_ACCOUNT") || null;
+  return {
+    STRICT_REQUIRE_NAME: !opts["no-strict-name"] && env("STRICT_REQUIRE_NAME") !== "false",
+    DEBUG: opts.debug || env("DEBUG") === "true",
+    RUN_ID: `cli-${Date.now()}`,
+    ARTIFACTS: opts.artifacts,
+    PROFILE: await getProfile(account),
+    AUDIT: { source: "cli", account }
+  };
+};
+
+function requireDate(value, flag) {
+  if (!ISO_DATE.test(value || "")) throw new UsageError(`${flag} must be YYYY-MM-DD.`);
+  return value;
 }
 
-async function clickWhenReady(page, selector, label = selector) {
-  await page.waitForSelector(selector, { timeout: 30000 });
-  await page.click(selector, { delay: 30 });
-  dbg(`Clicked ${label}`);
+function requireEditScope(value, label = "--scope") {
+  if (!EDIT_SCOPES.includes(value)) throw new UsageError(`${label} must be one of: ${EDIT_SCOPES.join(", ")}.`);
+  return value;
 }
 
-function normalizeText(s) {
-  return (s || "")
-    .replace(/\s+/g, " ")
-    .trim()
-    .toLowerCase();
+function requireCapacity(value, label = "--capacity") {
+  const n = Number(value);
+  if (value == null || value === "" || !Number.isInteger(n) || n < 0) {
+    throw new UsageError(`${label} must be a non-negative integer.`);
+  }
+  return n;
 }
 
-function timeMatches(textTime, targetTime) {
-  // Accept exact match OR contains (to allow "07:00 a.m. - 07:50 a.m.")
-  const norm = normalizeText(textTime);
-  const t = normalizeText(targetTime);
-  return norm === t || norm.includes(t);
+// Minimal RFC 4180 reader: quoted fields, "" escapes, CRLF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
 }
 
-function nameMatches(textName, targetName) {
-  if (!targetName) return true;
-  const n = normalizeText(textName);
-  const t = normalizeText(targetName);
-  return n.includes(t);
+// ---------- Commands ----------
+async function setCapacity() {
+  const eventId = opts["event-id"] || "";
+  const time = opts.time || env("TARGET_TIME") || "";
+  if (!time && !eventId) throw new UsageError("--time (or --event-id) is required.");
+  if (opts.driver && !DRIVERS.includes(opts.driver)) throw new UsageError(`--driver must be one of: ${DRIVERS.join(", ")}.`);
+  return runFitpass({
+    ...(await credentials()),
+    TARGET_DATE: requireDate(opts.date || env("TARGET_DATE"), "--date"),
+    TARGET_TIME: time,
+    TARGET_NAME: opts.name ?? env("TARGET_NAME") ?? "",
+    EVENT_ID: eventId,
+    NEW_CAPACITY: requireCapacity(opts.capacity ?? env("NEW_CAPACITY")),
+    SCOPE: requireEditScope(opts.scope),
+    DRY_RUN: opts["dry-run"],
+    ...(opts.driver ? { DRIVER: opts.driver } : {}),
+    ...(await common())
+  });
 }
 
-/**
- * =========================
- *  Main job
- * =========================
- */
-(async () => {
-  const browser = await puppeteer.launch({
-    headless: true,
-    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || "/usr/bin/chromium",
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-gpu"
-    ],
-    defaultViewport: { width: 1440, height: 900 },
-    timeout: 120000
+async function patch() {
+  const eventId = opts["event-id"] || "";
+  if (!opts.time && !eventId) throw new UsageError("--time (or --event-id) is required.");
+  const fields = {};
+  for (const pair of opts.set || []) {
+    const i = pair.indexOf("=");
+    if (i < 1) throw new UsageError(`--set expects FIELD=VALUE, got "${pair}".`);
+    fields[pair.slice(0, i).trim()] = pair.slice(i + 1);
+  }
+  if (!Object.keys(fields).length) throw new UsageError("At least one --set FIELD=VALUE is required.");
+  const shared = await common();
+  const unknown = unknownFields(shared.PROFILE, fields);
+  if (unknown.length) {
+    throw new UsageError(`Unknown field(s): ${unknown.join(", ")}. Known: ${Object.keys(shared.PROFILE.fields).join(", ")}.`);
+  }
+  return runPatch({
+    ...(await credentials()),
+    TARGET_DATE: requireDate(opts.date, "--date"),
+    TARGET_TIME: opts.time || "",
+    TARGET_NAME: opts.name ?? "",
+    EVENT_ID: eventId,
+    FIELDS: fields,
+    SCOPE: requireEditScope(opts.scope),
+    DRY_RUN: opts["dry-run"],
+    ...shared
   });
+}
 
-  const page = await browser.newPage();
-  page.setDefaultTimeout(45000);
+async function list() {
+  const from = requireDate(opts.from || opts.date, opts.from ? "--from" : "--date");
+  const to = requireDate(opts.to || from, "--to");
+  if (to < from) throw new UsageError("--to must not be before --from.");
+  return runSchedule({ ...(await credentials()), FROM: from, TO: to, ...(await common()) });
+}
 
+async function batch(file) {
+  if (!file) throw new UsageError("batch needs a CSV file.");
+  let text;
   try {
-    // 1) Login
-    log("🔐 Logging in…");
-    await page.goto(ENV.LOGIN_URL, { waitUntil: "domcontentloaded", timeout: 60000 });
-    await waitAndType(page, ENV.SEL_EMAIL, ENV.EMAIL, "email");
-    await waitAndType(page, ENV.SEL_PASSWORD, ENV.PASSWORD, "password");
-    await clickWhenReady(page, ENV.SEL_SUBMIT, "login");
-
-    // Let redirects/SPA load
-    await page.waitForNavigation({ waitUntil: "networkidle2", timeout: 60000 }).catch(() => {});
-    dbg("Logged in, navigation settled");
-
-    // 2) Go to schedule (if provided)
-    if (ENV.SCHEDULE_URL) {
-      log("🗓️  Opening schedule…");
-      await page.goto(ENV.SCHEDULE_URL, { waitUntil: "networkidle2", timeout: 60000 });
-    }
-
-    // 3) Select date
-    log(`📅 Selecting date ${ENV.TARGET_DATE}…`);
-    const daySelector = ENV.SEL_DAY_CELL.replace("%YYYY-MM-DD%", ENV.TARGET_DATE);
-    await page.waitForSelector(daySelector, { timeout: 60000 });
-    await page.click(daySelector, { delay: 30 });
-    await page.waitForTimeout(1000); // give UI a sec to refresh classes
-
-    // 4) Scan classes on that date
-    log(`🔎 Looking for class at ${ENV.TARGET_TIME}${ENV.TARGET_NAME ? " / " + ENV.TARGET_NAME : ""}…`);
-    await page.waitForSelector(ENV.SEL_CLASS_ROW, { timeout: 30000 });
-    const classHandles = await page.$$(ENV.SEL_CLASS_ROW);
-
-    if (!classHandles.length) throw new Error("No classes found for that date.");
-
-    let chosen = null;
-    for (const row of classHandles) {
-      const timeEl = await row.$(ENV.SEL_CLASS_TIME);
-      const nameEl = await row.$(ENV.SEL_CLASS_NAME);
-
-      const timeTxt = timeEl ? (await page.evaluate(el => el.textContent, timeEl)) : "";
-      const nameTxt = nameEl ? (await page.evaluate(el => el.textContent, nameEl)) : "";
+    text = readFileSync(file, "utf8");
+  } catch (err) {
+    throw new UsageError(`Cannot read ${file}: ${err.message}`);
+  }
+  const [header = [], ...rows] = parseCsv(text);
+  const aliases = { date: "targetDate", time: "targetTime", name: "targetName", capacity: "newCapacity", event: "eventId" };
+  const cols = header.map((h) => aliases[h.trim()] || h.trim());
+  const items = rows.map((r, i) => {
+    const rec = Object.fromEntries(cols.map((c, j) => [c, (r[j] ?? "").trim()]));
+    const line = `${file}:${i + 2}`;
+    if (!rec.targetTime && !rec.eventId) throw new UsageError(`${line}: targetTime (or eventId) is required.`);
+    return {
+      TARGET_DATE: requireDate(rec.targetDate, `${line}: targetDate`),
+      TARGET_TIME: rec.targetTime || "",
+      TARGET_NAME: rec.targetName || "",
+      EVENT_ID: rec.eventId || "",
+      NEW_CAPACITY: requireCapacity(rec.newCapacity, `${line}: newCapacity`),
+      SCOPE: requireEditScope(rec.scope || opts.scope, `${line}: scope`)
+    };
+  });
+  if (!items.length) throw new UsageError(`${file} has no rows.`);
+  return runFitpassBatch({ ...(await credentials()), items, DRY_RUN: opts["dry-run"], ...(await common()) });
+}
 
-      dbg("Candidate:", { timeTxt, nameTxt });
+async function accounts(action = "list", alias) {
+  if (action === "list") return { ok: true, accounts: await listAccounts() };
+  if (!alias) throw new UsageError(`accounts ${action} needs an ALIAS.`);
+  if (action === "add") {
+    if (!ALIAS_RE.test(alias)) throw new UsageError("ALIAS may only contain letters, digits, - and _.");
+    if (!opts.email || !opts.password) throw new UsageError("accounts add needs --email and --password.");
+    const account = await saveAccount(alias, { email: opts.email, password: opts.password });
+    return { ok: true, message: `Account "${alias}" saved`, account };
+  }
+  if (action === "remove") {
+    const removed = await deleteAccount(alias);
+    return removed ? { ok: true, message: `Account "${alias}" removed` } : { ok: false, error: `Unknown account "${alias}".` };
+  }
+  throw new UsageError(`Unknown accounts action "${action}".`);
+}
 
-      const timeOK = timeMatches(timeTxt, ENV.TARGET_TIME);
-      const nameOK = nameMatches(nameTxt, ENV.TARGET_NAME);
+const csvList = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
 
-      if (timeOK && (nameOK || !ENV.STRICT_REQUIRE_NAME)) {
-        chosen = row;
-        break;
-      }
+async function keys(action = "list", arg) {
+  if (action === "list") return { ok: true, keys: await listApiKeys() };
+  if (!arg) throw new UsageError(`keys ${action} needs ${action === "create" ? "a NAME" : "an ID"}.`);
+  if (action === "create") {
+    const scopes = csvList(opts.scopes);
+    if (!scopes.length || scopes.some((s) => !SCOPES.includes(s))) {
+      throw new UsageError(`keys create needs --scopes from: ${SCOPES.join(", ")}.`);
     }
+    const { key, apiKey } = await createApiKey({ name: arg, scopes, accounts: csvList(opts.accounts) });
+    return { ok: true, message: `API key ${apiKey.id} created (shown once): ${key}`, key, apiKey };
+  }
+  if (action === "revoke") {
+    const apiKey = await revokeApiKey(arg);
+    return apiKey ? { ok: true, message: `API key ${arg} revoked`, apiKey } : { ok: false, error: `Unknown API key "${arg}".` };
+  }
+  throw new UsageError(`Unknown keys action "${action}".`);
+}
 
-    if (!chosen) {
-      throw new Error(
-        `No matching class found for time="${ENV.TARGET_TIME}"` +
-        (ENV.TARGET_NAME ? ` and name~="${ENV.TARGET_NAME}"` : "") +
-        (ENV.STRICT_REQUIRE_NAME ? " (strict name on)" : " (strict name off)")
-      );
+// ---------- Output ----------
+function print(result) {
+  if (opts.json) return process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  const lines = [];
+  if (result.accounts) {
+    for (const a of result.accounts) lines.push(`${a.alias}  ${a.email}  (updated ${a.updatedAt})`);
+    lines.push(`${result.accounts.length} accounts`);
+  } else if (result.keys) {
+    for (const k of result.keys) {
+      const limit = k.accounts.length ? `  accounts=${k.accounts.join(",")}` : "";
+      lines.push(`${k.id}  ${k.name}  ${k.scopes.join(",")}${limit}${k.revokedAt ? `  (revoked ${k.revokedAt})` : ""}`);
     }
-
-    // 5) Open the class editor
-    log("📝 Opening class editor…");
-    let openBtn = await chosen.$(ENV.SEL_CLASS_OPEN);
-    if (!openBtn) {
-      // fallback: click the row itself
-      await chosen.click({ delay: 30 });
-    } else {
-      await openBtn.click({ delay: 30 });
+    lines.push(`${result.keys.length} keys`);
+  } else if (result.classes) {
+    for (const c of result.classes) lines.push(`${c.date} ${c.start ?? "--:--"}-${c.end ?? "--:--"}  ${c.name}  ${c.id ?? ""}`);
+    lines.push(`${result.count} classes`);
+  } else if (result.results) {
+    for (const r of result.results) {
+      lines.push(`${r.ok ? "✅" : "❌"} ${r.targetDate} ${r.targetTime || r.eventId} ${r.targetName || ""} → ${r.message || r.error}`);
     }
+    lines.push(result.message || result.error);
+  } else {
+    lines.push(`${result.ok ? "✅" : "❌"} ${result.message || result.error}${result.code ? ` [${result.code}]` : ""}`);
+    if (result.attempts > 1) lines.push(`   after ${result.attempts} attempts`);
+    for (const c of result.candidates || []) lines.push(`   candidate ${c.score ?? "-"}  ${c.preview}  ${c.id ?? ""}`);
+    for (const c of result.changes || []) lines.push(`   ${c.field}: ${c.from} → ${c.to}`);
+    if (result.fallback) lines.push(`   ${result.fallback.from} driver unavailable (${result.fallback.reason}); used the browser`);
+  }
+  for (const a of result.artifacts || []) lines.push(`   artifact ${a.name}`);
+  process.stdout.write(lines.join("\n") + "\n");
+}
 
-    // Wait for modal or editor page
-    await page.waitForSelector(ENV.SEL_CAPACITY_INPUT, { timeout: 30000 });
-
-    // 6) Update capacity
-    log(`📈 Setting capacity to ${ENV.NEW_CAPACITY}…`);
-    await page.evaluate((sel) => {
-      const el = document.querySelector(sel);
-      if (el) el.focus();
-    }, ENV.SEL_CAPACITY_INPUT);
+function exitCode(result) {
+  if (result.ok) return EXIT.OK;
+  if (result.results?.some((r) => r.ok)) return EXIT.PARTIAL;
+  if (["NO_MATCH", "AMBIGUOUS_MATCH"].includes(result.code)) return EXIT.NO_MATCH;
+  if (isTransient(result.code)) return EXIT.TRANSIENT;
+  return EXIT.FAILED;
+}
 
-    await page.click(ENV.SEL_CAPACITY_INPUT, { clickCount: 3, delay: 20 });
-    await page.keyboard.type(String(ENV.NEW_CAPACITY), { delay: 20 });
+// ---------- Main ----------
+const commands = { "set-capacity": setCapacity, patch, list, batch, accounts, keys };
+const [command, ...args] = positionals;
 
-    // 7) Save
-    await clickWhenReady(page, ENV.SEL_SAVE, "save");
-    await page.waitForNetworkIdle({ timeout: 20000 }).catch(() => {});
-    log("✅ Done. Capacity updated.");
+if (opts.help || !command) {
+  console.log(USAGE);
+  process.exit(opts.help ? EXIT.OK : EXIT.USAGE);
+}
 
-    await browser.close();
-    process.exit(0);
-  } catch (err) {
-    console.error("❌ Error:", err?.message || err);
-    await browser.close().catch(() => {});
-    process.exit(1);
+// Runner progress goes to stderr so stdout stays clean for --json; plain text unless LOG_FORMAT says otherwise
+console.log = (...a) => console.error(...a);
+configureLogs({ format: process.env.LOG_FORMAT || "text" });
+
+let code;
+try {
+  if (!commands[command]) throw new UsageError(`Unknown command "${command}".`);
+  const result = await commands[command](...args);
+  print(result);
+  code = exitCode(result);
+} catch (err) {
+  if (err instanceof UsageError) {
+    console.error(err.message + "\n\n" + USAGE);
+    code = EXIT.USAGE;
+  } else {
+    print(failure(err));
+    code = EXIT.FAILED;
   }
-})();
+}
+await closePool();
+process.exit(code);
@@ -0,0 +1,265 @@
+// jobs.js — in-memory job registry & queue for portal automation runs
+//
+// Jobs run in arrival order, up to MAX_CONCURRENT_JOBS at once. Each job holds its account's lane
+// (ACCOUNT_CONCURRENCY runs per account, default 1) and one lane per class it edits while it runs,
+// so two requests never drive the same portal account or class at the same time; a job whose lane
+// is busy waits without blocking other accounts. Jobs created with an Idempotency-Key are
+// remembered for IDEMPOTENCY_WINDOW_MS so a retried request gets the original job back.
+// Each job also keeps a numbered log of events (state, steps, debug lines, page console and HTTP
+// errors, the result) that GET /runs/:id/events streams and replays.
+
+import { randomUUID } from "node:crypto";
+import { failure } from "./errors.js";
+import { logError, redact, withLogContext, withRunEvents, withSecrets } from "./log.js";
+import { toMinutes } from "./matching.js";
+import { counter, gauge } from "./metrics.js";
+import { queueDelivery } from "./webhooks.js";
+
+// ---------- Config ----------
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_MS || 60 * 60 * 1000);
+const MAX_CONCURRENT_JOBS = Math.max(1, Number(process.env.MAX_CONCURRENT_JOBS || 2));
+const ACCOUNT_CONCURRENCY = Math.max(1, Number(process.env.ACCOUNT_CONCURRENCY || 1));
+const IDEMPOTENCY_WINDOW_MS = Number(process.env.IDEMPOTENCY_WINDOW_MS || 24 * 60 * 60 * 1000);
+const JOB_EVENT_LIMIT = Number(process.env.JOB_EVENT_LIMIT || 1000); // per job; oldest dropped first
+
+// ---------- State ----------
+const jobs = new Map(); // id → public job record
+const runners = new Map(); // id → { run, waiters }
+const events = new Map(); // id → { log: [{ id, type, at, data }], seq, listeners }
+const queue = [];
+const lanes = new Map(); // lane key → running jobs holding it
+const idempotency = new Map(); // scoped Idempotency-Key → { fingerprint, jobId, expiresAt }
+let running = 0;
+
+// ---------- Metrics ----------
+const runsTotal = counter("fitpass_runs_total", "Finished jobs by kind, outcome and error code.");
+gauge("fitpass_jobs_queued", "Jobs waiting for a free slot (queue depth).", () => queue.length);
+gauge("fitpass_jobs_running", "Jobs currently running.", () => running);
+
+// ---------- Public API ----------
+// callbackUrl: POST the finished job there (signed; see webhooks.js).
+// classes: [{ targetDate, targetTime, eventId }] the job edits; defaults to the input (or its items).
+// idempotency: { key, fingerprint } from reserveIdempotencyKey().
+// portalUser: the resolved portal email, so an alias and inline credentials for one user share a lane.
+export function enqueueJob(
+  type,
+  run,
+  { input = {}, callbackUrl = null, classes, idempotency: idem = null, portalUser = null } = {}
+) {
+  const job = {
+    id: randomUUID(),
+    type,
+    state: "queued",
+    step: null,
+    steps: [],
+    input,
+    result: null,
+    callbackUrl,
+    deliveryId: null,
+    lanes: laneKeys(portalUser || input.email || input.account, input, classes),
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+  events.set(job.id, { log: [], seq: 0, listeners: new Set() });
+  pushEvent(job.id, "state", { state: "queued" });
+  if (idem) {
+    idempotency.set(idem.key, {
+      fingerprint: idem.fingerprint,
+      jobId: job.id,
+      expiresAt: Date.now() + IDEMPOTENCY_WINDOW_MS
+    });
+  }
+  runners.set(job.id, { run, waiters: [] });
+  queue.push(job.id);
+  drain();
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Resolves true once the job finished, false if `ms` elapsed first.
+export function waitForJob(job, ms) {
+  if (isFinished(job)) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), ms);
+    runners.get(job.id)?.waiters.push(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+}
+
+// Calls listener(event) for each event after `afterId` (a Last-Event-ID), then for new ones as they
+// happen; "result" is always the last. Returns an unsubscribe function.
+export function subscribeJobEvents(job, afterId, listener) {
+  const stream = events.get(job.id);
+  if (!stream) return () => {};
+  for (const event of stream.log) if (event.id > afterId) listener(event);
+  if (isFinished(job)) return () => {};
+  stream.listeners.add(listener);
+  return () => stream.listeners.delete(listener);
+}
+
+export function isFinished(job) {
+  return job.state === "succeeded" || job.state === "failed";
+}
+
+export function serializeJob(job) {
+  const { id, type, state, step, steps, input, result, createdAt, startedAt, finishedAt } = job;
+  const callback = job.callbackUrl ? { callback: { url: job.callbackUrl, deliveryId: job.deliveryId } } : {};
+  return { id, type, state, step, steps, input, result, ...callback, createdAt, startedAt, finishedAt };
+}
+
+// ---------- Idempotency ----------
+// `key` is already scoped by the caller (API key + route + header value); `fingerprint` identifies
+// the request body. Resolves to one of:
+//   { job }                 — seen before with the same body: answer with this job
+//   { conflict: "reused" }  — seen before with a different body
+//   { conflict: "in-use" }  — the first request with this key is still being validated
+//   { reserved: true }      — new: pass { key, fingerprint } to enqueueJob, or release it
+export function reserveIdempotencyKey(key, fingerprint) {
+  const seen = idempotency.get(key);
+  if (seen && seen.expiresAt > Date.now()) {
+    if (seen.fingerprint !== fingerprint) return { conflict: "reused" };
+    if (!seen.jobId) return { conflict: "in-use" };
+    const job = jobs.get(seen.jobId);
+    if (job) return { job };
+  }
+  idempotency.set(key, { fingerprint, jobId: null, expiresAt: Date.now() + IDEMPOTENCY_WINDOW_MS });
+  return { reserved: true };
+}
+
+// Drops a reservation that never became a job (the request was rejected), so the key can be reused.
+export function releaseIdempotencyKey(key) {
+  if (idempotency.get(key)?.jobId === null) idempotency.delete(key);
+}
+
+// ---------- Lanes ----------
+// "account:<portal email>" (ACCOUNT_CONCURRENCY wide) and "class:<portal email>|<date>|<start>" (1 wide).
+// The start is in minutes, so "7:00", "07:00" and "7:00 am" share a lane; targets given only by
+// event id are keyed on it (the account lane still keeps them apart by default).
+function laneKeys(user, input, classes) {
+  const account = String(user || "").toLowerCase();
+  if (!account) return [];
+  const start = (c) => toMinutes(c.targetTime) ?? (c.eventId ? `event:${c.eventId}` : null);
+  const targets = classes || input.items || [input];
+  const classKeys = targets
+    .filter((c) => c?.targetDate && start(c) != null)
+    .map((c) => `class:${account}|${c.targetDate}|${start(c)}`);
+  return [`account:${account}`, ...new Set(classKeys)];
+}
+
+const laneWidth = (key) => (key.startsWith("account:") ? ACCOUNT_CONCURRENCY : 1);
+
+// ---------- Events ----------
+function pushEvent(id, type, data) {
+  const stream = events.get(id);
+  if (!stream) return;
+  const event = { id: ++stream.seq, type, at: new Date().toISOString(), data: redact(data) };
+  stream.log.push(event);
+  if (stream.log.length > JOB_EVENT_LIMIT) stream.log.shift();
+  for (const listener of stream.listeners) listener(event);
+  if (type === "result") stream.listeners.clear();
+}
+
+// ---------- Runner ----------
+// Starts queued jobs in order while slots are free. A job whose lane is busy stays queued, and
+// later jobs sharing one of its lanes wait behind it so each lane keeps its arrival order.
+function drain() {
+  const blocked = new Set();
+  for (let i = 0; i < queue.length && running < MAX_CONCURRENT_JOBS; ) {
+    const job = jobs.get(queue[i]);
+    if (!job) {
+      queue.splice(i, 1);
+      continue;
+    }
+    if (job.lanes.some((k) => blocked.has(k) || (lanes.get(k) || 0) >= laneWidth(k))) {
+      job.lanes.forEach((k) => blocked.add(k));
+      i++;
+      continue;
+    }
+    queue.splice(i, 1);
+    execute(job);
+  }
+}
+
+async function execute(job) {
+  running++;
+  for (const k of job.lanes) lanes.set(k, (lanes.get(k) || 0) + 1);
+  const { run } = runners.get(job.id);
+  job.state = "running";
+  job.startedAt = new Date().toISOString();
+  pushEvent(job.id, "state", { state: "running" });
+
+  // Mirrors step() in the runner: start → end | fail
+  const onStep = ({ phase, label, ms, error }) => {
+    pushEvent(job.id, `step.${phase}`, { label, ...(phase === "start" ? {} : { ms }), ...(error ? { error } : {}) });
+    if (phase === "start") {
+      job.step = label;
+      job.steps.push({ label, state: "running", startedAt: new Date().toISOString(), ms: null });
+      return;
+    }
+    const rec = [...job.steps].reverse().find((s) => s.label === label && s.state === "running");
+    if (!rec) return;
+    rec.state = phase === "end" ? "ok" : "failed";
+    rec.ms = ms;
+    if (error) rec.error = error;
+  };
+
+  // Every log line of the run carries its id and account, its events reach the job and the
+  // secrets it registers are dropped when it ends (see log.js)
+  try {
+    job.result = await withLogContext({ runId: job.id, account: job.input.account || null }, () =>
+      withSecrets(() =>
+        withRunEvents((type, data) => pushEvent(job.id, type, data), () => run({ onStep, jobId: job.id }))
+      )
+    );
+  } catch (err) {
+    job.result = failure(err);
+  }
+  runsTotal.inc({ kind: job.type, outcome: job.result?.ok ? "ok" : "failed", code: job.result?.code || "" });
+
+  job.state = job.result?.ok ? "succeeded" : "failed";
+  job.step = null;
+  job.finishedAt = new Date().toISOString();
+  pushEvent(job.id, "result", { state: job.state, result: job.result });
+  running--;
+  for (const k of job.lanes) {
+    const held = lanes.get(k) - 1;
+    if (held > 0) lanes.set(k, held);
+    else lanes.delete(k);
+  }
+
+  if (job.callbackUrl) {
+    queueDelivery(job)
+      .then((delivery) => (job.deliveryId = delivery.id))
+      .catch((err) => logError(`[WEBHOOK] Could not queue the callback for job ${job.id}:`, err));
+  }
+
+  const runner = runners.get(job.id);
+  runners.delete(job.id);
+  runner?.waiters.forEach((fn) => fn());
+  drain();
+}
+
+// ---------- Retention ----------
+// Jobs behind a live Idempotency-Key outlive JOB_RETENTION_MS so replays still find them.
+setInterval(() => {
+  const now = Date.now();
+  const keep = new Set();
+  for (const [key, seen] of idempotency) {
+    if (seen.expiresAt <= now) idempotency.delete(key);
+    else if (seen.jobId) keep.add(seen.jobId);
+  }
+  const cutoff = now - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (isFinished(job) && Date.parse(job.finishedAt) < cutoff && !keep.has(id)) {
+      jobs.delete(id);
+      events.delete(id);
+    }
+  }
+}, Math.min(JOB_RETENTION_MS, 60000)).unref();
@@ -0,0 +1,125 @@
+// log.js — leveled logging (JSON lines or plain text) with secret redaction and per-run context
+//
+// Every line is redacted (request bodies, debug lines, page output). In JSON format each line is
+// { time, level, msg, runId?, account?, step?, ...fields }: a trailing plain object becomes fields,
+// and the run context comes from withLogContext() (jobs.js) and setLogContext() (step()).
+// A run can also carry an event sink (withRunEvents(), jobs.js): its debug lines and whatever the
+// runner passes to emitRunEvent() reach it, redacted like the logs. Secrets registered during a
+// request or a run (withSecrets()) are forgotten when it ends.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// ---------- Config ----------
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+let level = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+let format = process.env.LOG_FORMAT === "text" ? "text" : "json";
+
+// The CLI switches to text; tests may lower the level.
+export function configureLogs(options = {}) {
+  if (LEVELS[options.level]) level = options.level;
+  if (options.format === "json" || options.format === "text") format = options.format;
+}
+
+// Object keys whose values never reach the logs
+const SECRET_KEY = /pass(word)?|secret|token|api[-_]?key|authorization|cookie|credential/i;
+const MASK = "[REDACTED]";
+
+// Literal secret values seen at runtime (e.g. portal passwords), scrubbed from any string. Inside a
+// withSecrets() scope (an API request, a job run) they are kept until the scope ends; outside one
+// (CLI, background checks on stored accounts) for the life of the process.
+const secrets = new Set();
+const secretScopes = new AsyncLocalStorage();
+
+// Runs fn with a secret set of its own, so inline passwords don't pile up in a long-running server.
+export const withSecrets = (fn) => secretScopes.run(new Set(), fn);
+
+export function registerSecret(value) {
+  if (value != null && String(value).length >= 4) (secretScopes.getStore() || secrets).add(String(value));
+}
+
+function scrub(str) {
+  let out = str;
+  for (const s of [...secrets, ...(secretScopes.getStore() || [])]) if (out.includes(s)) out = out.split(s).join(MASK);
+  return out;
+}
+
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === "string") return scrub(value);
+  if (value instanceof Error) return scrub(value.stack || value.message);
+  if (!value || typeof value !== "object") return value;
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((v) => redact(v, seen));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = SECRET_KEY.test(k) ? MASK : redact(v, seen);
+  return out;
+}
+
+// ---------- Context ----------
+const context = new AsyncLocalStorage();
+
+// Runs fn with extra fields on every log line it (and anything it awaits) writes.
+export const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+// Updates the current run's context in place (e.g. the step being run); no-op outside a run.
+export function setLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// ---------- Run events ----------
+const sinks = new AsyncLocalStorage();
+
+// Runs fn with `sink(type, data)` receiving the run's events (GET /runs/:id/events).
+export const withRunEvents = (sink, fn) => sinks.run(sink, fn);
+
+// No-op outside a run.
+export function emitRunEvent(type, data) {
+  sinks.getStore()?.(type, redact(data));
+}
+
+// ---------- Loggers ----------
+const isPlain = (v) => v && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype;
+const errorFields = (e) => ({ message: scrub(e.message), ...(e.code ? { code: e.code } : {}), stack: scrub(e.stack || "") });
+
+// A trailing plain object (after a message) is structured fields: JSON keys, or appended as JSON in text.
+const split = (args) => (args.length > 1 && isPlain(args.at(-1)) ? [args.slice(0, -1), args.at(-1)] : [args, {}]);
+
+const message = (parts) => parts.map((v) => (typeof v === "string" ? v : JSON.stringify(redact(v)))).join(" ");
+
+function line(lvl, args) {
+  const [rest, fields] = split(args);
+  const err = rest.find((v) => v instanceof Error);
+  const msg = message(rest.filter((v) => v !== err));
+  const ctx = Object.fromEntries(Object.entries(context.getStore() || {}).filter(([, v]) => v != null));
+  return JSON.stringify({
+    time: new Date().toISOString(),
+    level: lvl,
+    msg: scrub(msg),
+    ...ctx,
+    ...redact(fields),
+    ...(err ? { err: errorFields(err) } : {})
+  });
+}
+
+// Returns whether the line was written.
+function write(lvl, args, force = false) {
+  if (!force && LEVELS[lvl] < LEVELS[level]) return false;
+  const out = lvl === "error" || lvl === "warn" ? console.error : console.log;
+  if (format !== "text") {
+    out(line(lvl, args));
+    return true;
+  }
+  const [rest, fields] = split(args);
+  out(...rest.map((v) => redact(v)), ...(Object.keys(fields).length ? [JSON.stringify(redact(fields))] : []));
+  return true;
+}
+
+export const log = (...a) => write("info", a);
+export const logWarn = (...a) => write("warn", a);
+export const logError = (...a) => write("error", a);
+// Per-request DEBUG lines show when the request asked for them, or always at LOG_LEVEL=debug;
+// the lines that show are also the run's "debug" events.
+export const debugLogger = (enabled) => (...a) => {
+  if (write("debug", format === "text" ? ["[DEBUG]", ...a] : a, enabled)) emitRunEvent("debug", { msg: scrub(message(a)) });
+};
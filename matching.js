@@ -0,0 +1,152 @@
+// matching.js — time/name parsing and the event scoring rules shared by both portal drivers
+
+import { FitpassError } from "./errors.js";
+
+// ---------- Time & name parsing ----------
+export const normTimeTokens = (txt) =>
+  String(txt || "")
+    .toLowerCase()
+    .replace(/a\s*\.?\s*m\.?/gi, "am")
+    .replace(/p\s*\.?\s*m\.?/gi, "pm");
+
+export function toMinutes(t) {
+  const m = String(t).match(/^\s*(\d{1,2})[:\.](\d{2})\s*(am|pm|a\.?m\.?|p\.?m\.?)?\s*$/i);
+  if (!m) return null;
+  let h = parseInt(m[1], 10);
+  const min = parseInt(m[2], 10);
+  const apRaw = m[3]?.toLowerCase();
+  if (apRaw) {
+    const isPM = /p/.test(apRaw.replace(/\s|\./g, ""));
+    if (h === 12 && !isPM) h = 0;
+    if (h !== 12 && isPM) h += 12;
+  }
+  return h * 60 + min;
+}
+
+export function extractStartTimeMinutes(txt) {
+  const norm = normTimeTokens(txt);
+  const m = norm.match(/(\d{1,2})[:\.](\d{2})\s*(am|pm)?/i);
+  if (!m) return null;
+  const hh = m[1],
+    mm = m[2],
+    ap = m[3] || "";
+  return toMinutes(`${hh}:${mm}${ap ? " " + ap : ""}`);
+}
+
+// Accent/case-insensitive comparison form: "Pilátes  REFORMER!" → "pilates reformer"
+export const normName = (txt) =>
+  String(txt || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+export const nameMatches = (txt, name) => !name || normName(txt).includes(normName(name));
+
+// 0–50: 50 for a full (normalized) substring hit, otherwise the share of target words found.
+export function nameSimilarity(txt, name) {
+  const hay = normName(txt);
+  const needle = normName(name);
+  if (!needle || hay.includes(needle)) return 50;
+  const words = hay.split(" ");
+  const tokens = needle.split(" ");
+  const found = tokens.filter((t) => words.some((w) => w.startsWith(t) || (t.startsWith(w) && w.length >= 3)));
+  return Math.round((found.length / tokens.length) * 50);
+}
+
+// End time = second time token ("07:00 am - 07:50 am"); null if there isn't one.
+export function extractEndTimeMinutes(txt) {
+  const norm = normTimeTokens(txt);
+  const all = [...norm.matchAll(/(\d{1,2})[:\.](\d{2})\s*(am|pm)?/gi)];
+  if (all.length < 2) return null;
+  return extractStartTimeMinutes(all[1][0]);
+}
+
+export const fmtMinutes = (mins) =>
+  mins == null ? null : `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+
+// ---------- Event scoring ----------
+// Picks the best of TARGET_DATE's candidates ({ preview, id, href, ... }). Refuses to guess:
+// throws NO_MATCH when nothing reaches MIN_SCORE and AMBIGUOUS_MATCH when the runner-up is
+// within MATCH_MARGIN of the best (both list the scored candidates). EVENT_ID (portal id or
+// href) skips scoring. Returns the chosen candidate with its `score`.
+// An EVENT_ID given as an href names the same path; a bare id is the href's last path segment.
+// Never a substring: "12" must not pick /schedules/123.
+function sameEvent(href, wanted) {
+  const path = (u) => new URL(u, "http://portal.invalid").pathname.replace(/\/+$/, "");
+  try {
+    return path(href) === path(wanted) || path(href).split("/").pop() === wanted;
+  } catch {
+    return false;
+  }
+}
+
+export const MATCH_MARGIN = Number(process.env.MATCH_MARGIN ?? 5);
+export const MATCH_MIN_SCORE = Number(process.env.MATCH_MIN_SCORE ?? 100);
+
+export function pickEvent(
+  dateEvents,
+  { TARGET_DATE, TARGET_TIME, TARGET_NAME = "", EVENT_ID = "", MARGIN = MATCH_MARGIN, MIN_SCORE = MATCH_MIN_SCORE },
+  dlog = () => {}
+) {
+  const listCandidates = (list) => list.slice(0, 10).map(({ preview, score, id, href }) => ({ preview, score, id, href }));
+  const describe = `${TARGET_DATE}${TARGET_TIME ? ` at "${TARGET_TIME}"` : ""}${TARGET_NAME ? ` (${TARGET_NAME})` : ""}`;
+
+  if (!dateEvents.length) {
+    throw new FitpassError("NO_MATCH", `No events found on ${TARGET_DATE}.`, { candidates: [] });
+  }
+
+  if (EVENT_ID) {
+    const wanted = String(EVENT_ID);
+    const best = dateEvents.find((d) => d.id === wanted || (d.href && sameEvent(d.href, wanted)));
+    if (!best) {
+      throw new FitpassError("NO_MATCH", `Event ${wanted} not found on ${TARGET_DATE}.`, {
+        candidates: listCandidates(dateEvents)
+      });
+    }
+    return { ...best, score: null };
+  }
+
+  const targetMins = TARGET_TIME ? toMinutes(TARGET_TIME) : null;
+  const scored = dateEvents
+    .map((d) => {
+      const startMins = extractStartTimeMinutes(d.preview);
+      const timeScore =
+        targetMins == null
+          ? 0
+          : startMins === targetMins
+            ? 100
+            : startMins != null
+              ? Math.max(0, 100 - Math.abs(startMins - targetMins))
+              : 0;
+      const nameScore = TARGET_NAME ? nameSimilarity(d.preview, TARGET_NAME) : 50;
+      return { ...d, score: timeScore + nameScore };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const best = scored[0];
+  dlog("  Candidates:", scored.map((c) => `${c.score} ${c.preview}`));
+  if (best.score < MIN_SCORE) {
+    throw new FitpassError("NO_MATCH", `No event for ${describe} scored at least ${MIN_SCORE}.`, {
+      candidates: listCandidates(scored)
+    });
+  }
+  const runnerUp = scored[1];
+  if (runnerUp && best.score - runnerUp.score < MARGIN) {
+    throw new FitpassError("AMBIGUOUS_MATCH", `Several events match ${describe}; refine targetName or pass eventId.`, {
+      candidates: listCandidates(scored.filter((c) => best.score - c.score < MARGIN))
+    });
+  }
+  return best;
+}
+
+// ---------- Edit form gate ----------
+// The opened edit form must show the target's start time and name, and its page the date.
+export function formTextMatches(formText, pageText, { TARGET_DATE, TARGET_TIME, TARGET_NAME }) {
+  const txt = normTimeTokens(formText);
+  const timeOK = !TARGET_TIME || extractStartTimeMinutes(txt) === toMinutes(TARGET_TIME);
+  const nameOK = nameMatches(txt, TARGET_NAME);
+  const dateOK = normTimeTokens(pageText).includes(TARGET_DATE);
+  return { timeOK, nameOK, dateOK, ok: timeOK && nameOK && dateOK };
+}
@@ -0,0 +1,82 @@
+// metrics.js — in-process counters, gauges and histograms, rendered in the Prometheus text format
+//
+// Modules declare what they own (pool.js: browsers, jobs.js: queue and runs, fitpass.js: steps
+// and logins); GET /metrics renders everything. Gauges are read at scrape time.
+
+// ---------- Registry ----------
+const registry = new Map(); // name → { name, type, help, render() }
+
+const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const labelText = (labels) => {
+  const pairs = Object.entries(labels).filter(([, v]) => v != null);
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}` : "";
+};
+const keyOf = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function register(name, type, help, render) {
+  if (registry.has(name)) throw new Error(`Metric "${name}" is already registered.`);
+  registry.set(name, { name, type, help, render });
+}
+
+// ---------- Metric types ----------
+export function counter(name, help) {
+  const values = new Map(); // key → { labels, value }
+  register(name, "counter", help, () =>
+    [...values.values()].map(({ labels, value }) => `${name}${labelText(labels)} ${value}`)
+  );
+  return {
+    inc(labels = {}, n = 1) {
+      const key = keyOf(labels);
+      const entry = values.get(key) || values.set(key, { labels, value: 0 }).get(key);
+      entry.value += n;
+    }
+  };
+}
+
+// collect() → a number, or [{ labels, value }] for labelled gauges.
+export function gauge(name, help, collect) {
+  register(name, "gauge", help, () => {
+    const v = collect();
+    const rows = typeof v === "number" ? [{ labels: {}, value: v }] : v;
+    return rows.map(({ labels, value }) => `${name}${labelText(labels)} ${value}`);
+  });
+}
+
+export const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+export function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const series = new Map(); // key → { labels, counts[], sum, count }
+  register(name, "histogram", help, () =>
+    [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, i) => `${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`),
+      `${name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`,
+      `${name}_sum${labelText(labels)} ${sum}`,
+      `${name}_count${labelText(labels)} ${count}`
+    ])
+  );
+  return {
+    observe(labels = {}, value) {
+      const key = keyOf(labels);
+      const s = series.get(key) || series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }).get(key);
+      buckets.forEach((le, i) => value <= le && s.counts[i]++);
+      s.sum += value;
+      s.count++;
+    }
+  };
+}
+
+// ---------- Exposition ----------
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export function renderMetrics() {
+  const lines = [];
+  for (const m of registry.values()) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    try {
+      lines.push(...m.render());
+    } catch {
+      // A gauge whose source is gone (e.g. during shutdown) just has no samples this time
+    }
+  }
+  return lines.join("\n") + "\n";
+}
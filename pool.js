@@ -0,0 +1,155 @@
+// pool.js — warm Chromium pool + per-account session (cookie) store
+
+import puppeteer from "puppeteer";
+import { FitpassError } from "./errors.js";
+import { log } from "./log.js";
+import { gauge } from "./metrics.js";
+
+// ---------- Config ----------
+const POOL_SIZE = Math.max(1, Number(process.env.BROWSER_POOL_SIZE || 2));
+const BROWSER_IDLE_MS = Number(process.env.BROWSER_IDLE_MS || 5 * 60 * 1000);
+const BROWSER_MAX_USES = Number(process.env.BROWSER_MAX_USES || 50); // recycle to contain leaks
+const ACQUIRE_TIMEOUT_MS = Number(process.env.BROWSER_ACQUIRE_TIMEOUT_MS || 120000);
+
+// ---------- State ----------
+const entries = new Set(); // { browser, busy, uses, lastUsed }
+const waiters = []; // pending acquire() resolvers
+let launching = 0;
+
+// ---------- Metrics ----------
+gauge("fitpass_browsers_open", "Chromium processes in the pool (busy, idle or launching).", () => entries.size + launching);
+gauge("fitpass_browsers_active", "Browsers currently leased to a run.", () => [...entries].filter((e) => e.busy).length);
+
+// ---------- Browser lifecycle ----------
+async function launchBrowser() {
+  return puppeteer.launch({
+    headless: true,
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || "/usr/bin/chromium",
+    args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--disable-gpu"],
+    defaultViewport: { width: 1440, height: 900 },
+    timeout: 120000
+  });
+}
+
+async function addEntry() {
+  launching++;
+  try {
+    const browser = await launchBrowser().catch((err) => {
+      throw new FitpassError("BROWSER_LAUNCH_FAILED", `Could not launch Chromium: ${err?.message || err}`);
+    });
+    const entry = { browser, busy: true, uses: 0, lastUsed: Date.now() };
+    browser.on("disconnected", () => {
+      // Crashed or closed: forget it and let a waiter launch a replacement
+      if (!entries.delete(entry)) return;
+      log("[POOL] Browser disconnected; removed from pool");
+      wakeWaiter();
+    });
+    entries.add(entry);
+    return entry;
+  } finally {
+    launching--;
+  }
+}
+
+async function retire(entry) {
+  entries.delete(entry);
+  await entry.browser.close().catch(() => {});
+  wakeWaiter();
+}
+
+function wakeWaiter() {
+  const next = waiters.shift();
+  if (next) next();
+}
+
+async function takeEntry() {
+  for (const entry of entries) {
+    if (!entry.busy && entry.browser.connected) {
+      entry.busy = true;
+      return entry;
+    }
+  }
+  if (entries.size + launching < POOL_SIZE) return addEntry();
+  return null;
+}
+
+// ---------- Public API ----------
+// Leases a whole browser with a fresh, isolated context (no cookies leak between accounts).
+export async function acquireBrowser() {
+  const deadline = Date.now() + ACQUIRE_TIMEOUT_MS;
+  let entry = await takeEntry();
+  while (!entry) {
+    const left = deadline - Date.now();
+    if (left <= 0) {
+      throw new FitpassError(
+        "BROWSER_UNAVAILABLE",
+        `No browser available within ${ACQUIRE_TIMEOUT_MS}ms (pool size ${POOL_SIZE}).`
+      );
+    }
+    await new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        const i = waiters.indexOf(wake);
+        if (i !== -1) waiters.splice(i, 1);
+        resolve();
+      }, left);
+      const wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      waiters.push(wake);
+    });
+    entry = await takeEntry();
+  }
+
+  entry.uses++;
+  let context;
+  try {
+    context = await entry.browser.createBrowserContext();
+  } catch (err) {
+    await retire(entry);
+    throw err;
+  }
+
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+    await context.close().catch(() => {});
+    entry.lastUsed = Date.now();
+    if (!entry.browser.connected || entry.uses >= BROWSER_MAX_USES) return retire(entry);
+    entry.busy = false;
+    wakeWaiter();
+  };
+
+  return { browser: entry.browser, context, release };
+}
+
+export async function closePool() {
+  await Promise.all([...entries].map(retire));
+}
+
+// ---------- Session store (cookies per account) ----------
+const sessions = new Map(); // email → cookies[]
+
+export function getSessionCookies(email) {
+  return sessions.get(String(email).toLowerCase()) || null;
+}
+
+export function saveSessionCookies(email, cookies) {
+  sessions.set(String(email).toLowerCase(), cookies);
+}
+
+export function forgetSession(email) {
+  sessions.delete(String(email).toLowerCase());
+}
+
+// ---------- Idle reaper ----------
+setInterval(() => {
+  const cutoff = Date.now() - BROWSER_IDLE_MS;
+  for (const entry of entries) {
+    if (!entry.busy && entry.lastUsed < cutoff) {
+      log("[POOL] Closing idle browser");
+      retire(entry);
+    }
+  }
+}, Math.min(BROWSER_IDLE_MS, 30000)).unref();
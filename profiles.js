@@ -0,0 +1,163 @@
+// profiles.js — versioned selector/text profiles for the portal UI, with per-account overrides
+//
+// Built-in profiles live in ./profiles/*.json; extra ones (and per-account overrides in
+// accounts/<alias>.json) are read from PROFILES_DIR. A profile may `extends` another and only
+// list what differs. reloadProfiles() swaps everything in without a restart.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { log } from "./log.js";
+
+// ---------- Config ----------
+const BUILTIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "profiles");
+const PROFILES_DIR = path.resolve(process.env.PROFILES_DIR || path.join(process.env.DATA_DIR || "data", "profiles"));
+const DEFAULT_PROFILE = process.env.FITPASS_PROFILE || "default";
+const SECTIONS = ["paths", "selectors", "texts", "patterns", "fields", "http"];
+
+// ---------- Loading ----------
+async function readJsonDir(dir) {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return Promise.all(
+    files.map(async (f) => {
+      try {
+        return { file: f, json: JSON.parse(await fs.readFile(path.join(dir, f), "utf8")) };
+      } catch (err) {
+        throw new Error(`${path.join(dir, f)}: ${err.message}`);
+      }
+    })
+  );
+}
+
+// Section-wise merge: override keys replace base keys (arrays are replaced, not concatenated).
+const merge = (base, over) => {
+  const out = { ...base, ...over };
+  for (const s of SECTIONS) out[s] = { ...base[s], ...over[s] };
+  return out;
+};
+
+function resolve(raw, name, seen = []) {
+  const p = raw.get(name);
+  if (!p) throw new Error(`Unknown profile "${name}"${seen.length ? ` (extended by "${seen.at(-1)}")` : ""}.`);
+  if (seen.includes(name)) throw new Error(`Profile inheritance loop: ${[...seen, name].join(" → ")}.`);
+  return p.extends ? merge(resolve(raw, p.extends, [...seen, name]), p) : p;
+}
+
+// Every key of the built-in default must be present (and non-empty) once inheritance is applied.
+function validate(profile, reference) {
+  for (const s of SECTIONS) {
+    for (const key of Object.keys(reference[s] || {})) {
+      const v = profile[s]?.[key];
+      const ok = Array.isArray(v) ? v.length && v.every((x) => typeof x === "string" && x) : typeof v === "string" && v;
+      if (!ok) throw new Error(`Profile "${profile.name}" is missing ${s}.${key}.`);
+    }
+  }
+  if (profile.version == null) throw new Error(`Profile "${profile.name}" has no version.`);
+}
+
+async function build() {
+  const raw = new Map();
+  for (const { file, json } of [...(await readJsonDir(BUILTIN_DIR)), ...(await readJsonDir(PROFILES_DIR))]) {
+    raw.set(json.name || path.basename(file, ".json"), { ...json, name: json.name || path.basename(file, ".json") });
+  }
+  const reference = raw.get("default");
+  if (!reference) throw new Error("The built-in default profile is missing.");
+
+  const profiles = new Map();
+  for (const name of raw.keys()) {
+    const p = resolve(raw, name);
+    validate(p, reference);
+    profiles.set(name, p);
+  }
+  if (!profiles.has(DEFAULT_PROFILE)) throw new Error(`FITPASS_PROFILE "${DEFAULT_PROFILE}" does not exist.`);
+
+  // accounts/<alias>.json: partial overrides on top of `extends` (default: FITPASS_PROFILE)
+  const accounts = new Map();
+  for (const { file, json } of await readJsonDir(path.join(PROFILES_DIR, "accounts"))) {
+    const alias = path.basename(file, ".json");
+    const base = profiles.get(json.extends || DEFAULT_PROFILE);
+    if (!base) throw new Error(`accounts/${file}: unknown profile "${json.extends}".`);
+    const p = { ...merge(base, json), name: `${base.name}+${alias}`, version: base.version, account: alias };
+    if (json.version != null) p.overrideVersion = json.version;
+    validate(p, reference);
+    accounts.set(alias, p);
+  }
+  return { profiles, accounts, loadedAt: new Date().toISOString() };
+}
+
+let registry = null;
+let loading = null;
+
+// Rebuilds the registry from disk; on any error the previous profiles stay active.
+export async function reloadProfiles() {
+  const next = await build();
+  registry = next;
+  log(`[PROFILES] Loaded ${[...next.profiles.keys()].join(", ")}; account overrides: ${next.accounts.size}`);
+  return describeProfiles();
+}
+
+async function ensureLoaded() {
+  if (registry) return registry;
+  loading ||= reloadProfiles().finally(() => (loading = null));
+  await loading;
+  return registry;
+}
+
+// ---------- Public API ----------
+// The profile for a stored account alias (its override if any), else FITPASS_PROFILE.
+export async function getProfile(account = null) {
+  const { profiles, accounts } = await ensureLoaded();
+  return (account && accounts.get(account)) || profiles.get(DEFAULT_PROFILE);
+}
+
+function describeProfiles() {
+  if (!registry) return null;
+  const info = (p) => ({ name: p.name, version: p.version, description: p.description || "", extends: p.extends || null });
+  return {
+    default: DEFAULT_PROFILE,
+    loadedAt: registry.loadedAt,
+    profiles: [...registry.profiles.values()].map(info),
+    accounts: [...registry.accounts.values()].map((p) => ({
+      account: p.account,
+      profile: p.name,
+      version: p.version,
+      overrideVersion: p.overrideVersion ?? null
+    }))
+  };
+}
+
+export async function listProfiles() {
+  await ensureLoaded();
+  return describeProfiles();
+}
+
+// ---------- Page binding ----------
+// Runners bind the profile to each page they open; helpers look it up from the page.
+const bound = new WeakMap();
+
+export function bindProfile(page, profile) {
+  bound.set(page, profile);
+}
+
+export function profileOf(page) {
+  const p = bound.get(page) || registry?.profiles.get(DEFAULT_PROFILE);
+  if (!p) throw new Error("No selector profile bound to this page (call getProfile() first).");
+  return p;
+}
+
+// ---------- Recurrence scopes ----------
+// The choices of the "which classes?" prompt: each is found by its label (texts.confirm*)
+// in the browser, and by label or button value (http.*Scope) over HTTP.
+export const EDIT_SCOPES = ["single", "following", "all"];
+const SCOPE_KEYS = { single: "Single", following: "Following", all: "All" };
+export const scopeText = (profile, scope) => profile.texts[`confirm${SCOPE_KEYS[scope]}`];
+export const scopeValue = (profile, scope) => profile.http[`${scope}Scope`];
+
+// "td[data-date=\"{date}\"]" → concrete selector
+export const fill = (selector, vars) => selector.replace(/\{(\w+)\}/g, (_, k) => vars[k] ?? "");
@@ -0,0 +1,300 @@
+// rules.js — recurring capacity rules, expanded into runFitpass jobs by a built-in scheduler
+//
+// A rule like "Mon/Wed 07:00 'Ponte Reformer' → 12, 7 days ahead" fires every day at `runAt`
+// (server local time; set TZ) for the class `daysAhead` days later, if it falls on one of `days`.
+
+import { randomBytes } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { enqueueJob, getJob } from "./jobs.js";
+import { FitpassError, failure, runFitpass } from "./fitpass.js";
+import { ALIAS_RE, getAccount } from "./credentials.js";
+import { getProfile } from "./profiles.js";
+import { log, logError, logWarn } from "./log.js";
+
+// ---------- Config ----------
+const RULES_FILE = path.resolve(process.env.RULES_FILE || path.join(process.env.DATA_DIR || "data", "rules.json"));
+const RULES_TICK_MS = Number(process.env.RULES_TICK_MS ?? 60000); // 0 disables the scheduler
+const RULE_HISTORY_LIMIT = Number(process.env.RULE_HISTORY_LIMIT || 100);
+const MAX_DAYS_AHEAD = 60;
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const HHMM = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// ---------- Local-time date helpers ----------
+const pad = (n) => String(n).padStart(2, "0");
+const isoLocal = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const atLocal = (iso, hhmm = "00:00") => {
+  const [y, m, d] = iso.split("-").map(Number);
+  const [h, mi] = hhmm.split(":").map(Number);
+  return new Date(y, m - 1, d, h, mi);
+};
+const addDays = (iso, n) => {
+  const d = atLocal(iso);
+  d.setDate(d.getDate() + n);
+  return isoLocal(d);
+};
+
+// ---------- Validation ----------
+const invalid = (message) => new FitpassError("INVALID_RULE", message);
+
+function parseDays(days) {
+  if (!Array.isArray(days) || !days.length) throw invalid("days must be a non-empty list like [\"mon\", \"wed\"].");
+  const out = days.map((d) => {
+    const name = typeof d === "number" ? DAY_NAMES[d] : String(d).trim().toLowerCase().slice(0, 3);
+    if (!DAY_NAMES.includes(name)) throw invalid(`Unknown day "${d}".`);
+    return name;
+  });
+  return DAY_NAMES.filter((n) => out.includes(n));
+}
+
+function parseTime(value, field) {
+  const m = HHMM.exec(String(value ?? ""));
+  if (!m) throw invalid(`${field} must be HH:MM.`);
+  return `${pad(m[1])}:${m[2]}`;
+}
+
+function parseInteger(value, field, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw invalid(`${field} must be an integer between ${min} and ${max}.`);
+  return n;
+}
+
+// Merges `input` over `base` (a stored rule for updates) → validated rule fields.
+function normalizeRule(input = {}, base = {}) {
+  const v = { ...base, ...input };
+  if (!v.account || !ALIAS_RE.test(String(v.account))) {
+    throw invalid("account must be a stored account alias (rules run unattended).");
+  }
+  return {
+    name: String(v.name || ""),
+    account: String(v.account),
+    days: parseDays(v.days),
+    time: parseTime(v.time, "time"),
+    targetName: String(v.targetName || ""),
+    newCapacity: parseInteger(v.newCapacity, "newCapacity", 0, 10000),
+    daysAhead: parseInteger(v.daysAhead ?? 7, "daysAhead", 0, MAX_DAYS_AHEAD),
+    runAt: parseTime(v.runAt ?? "06:00", "runAt"),
+    strictRequireName: !!(v.strictRequireName ?? true),
+    enabled: !!(v.enabled ?? true)
+  };
+}
+
+// ---------- Store ----------
+async function readStore() {
+  try {
+    return JSON.parse(await fs.readFile(RULES_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function writeStore(rules) {
+  await fs.mkdir(path.dirname(RULES_FILE), { recursive: true });
+  const tmp = RULES_FILE + ".tmp";
+  await fs.writeFile(tmp, JSON.stringify(rules, null, 2));
+  await fs.rename(tmp, RULES_FILE);
+}
+
+// Read-modify-write cycles run one at a time (API calls, scheduler ticks, job outcomes).
+let chain = Promise.resolve();
+function mutate(fn) {
+  const next = chain.then(async () => {
+    const rules = await readStore();
+    const out = await fn(rules);
+    await writeStore(rules);
+    return out;
+  });
+  chain = next.catch(() => {});
+  return next;
+}
+
+const publicRule = ({ history, ...rule }) => ({ ...rule, lastRun: history.at(-1) || null });
+
+// ---------- Expansion ----------
+// Occurrences whose fire time falls in (fromMs, toMs].
+export function occurrences(rule, fromMs, toMs) {
+  const out = [];
+  const lastDay = isoLocal(new Date(toMs));
+  for (let day = isoLocal(new Date(fromMs)); day <= lastDay; day = addDays(day, 1)) {
+    const fireAt = atLocal(day, rule.runAt).getTime();
+    if (fireAt <= fromMs || fireAt > toMs) continue;
+    const targetDate = addDays(day, rule.daysAhead);
+    if (!rule.days.includes(DAY_NAMES[atLocal(targetDate).getDay()])) continue;
+    out.push({
+      fireAt: new Date(fireAt).toISOString(),
+      targetDate,
+      targetTime: rule.time,
+      targetName: rule.targetName,
+      newCapacity: rule.newCapacity
+    });
+  }
+  return out;
+}
+
+// ---------- Public API ----------
+export async function listRules() {
+  return (await readStore()).map(publicRule);
+}
+
+export async function getRule(id) {
+  const rule = (await readStore()).find((r) => r.id === id);
+  return rule ? publicRule(rule) : null;
+}
+
+export async function getRuleHistory(id) {
+  const rule = (await readStore()).find((r) => r.id === id);
+  return rule ? [...rule.history].reverse() : null;
+}
+
+export async function createRule(input, { keyId = null } = {}) {
+  const now = new Date().toISOString();
+  const rule = {
+    id: randomBytes(4).toString("hex"),
+    ...normalizeRule(input),
+    createdBy: keyId,
+    createdAt: now,
+    updatedAt: now,
+    checkedUntil: now, // scheduler cursor: nothing before creation fires
+    history: []
+  };
+  await mutate((rules) => rules.push(rule));
+  return publicRule(rule);
+}
+
+// Edits restart the cursor, so a changed schedule never fires retroactively.
+export async function updateRule(id, input) {
+  return mutate((rules) => {
+    const rule = rules.find((r) => r.id === id);
+    if (!rule) return null;
+    const now = new Date().toISOString();
+    Object.assign(rule, normalizeRule(input, rule), { updatedAt: now, checkedUntil: now });
+    return publicRule(rule);
+  });
+}
+
+export async function deleteRule(id) {
+  return mutate((rules) => {
+    const i = rules.findIndex((r) => r.id === id);
+    if (i === -1) return false;
+    rules.splice(i, 1);
+    return true;
+  });
+}
+
+export async function previewRule(id, days = 14) {
+  const rule = (await readStore()).find((r) => r.id === id);
+  if (!rule) return null;
+  const now = Date.now();
+  return occurrences(rule, now, now + days * 24 * 60 * 60 * 1000);
+}
+
+// ---------- Scheduler ----------
+function runOccurrence(rule, occ) {
+  return async ({ onStep, jobId }) => {
+    let result;
+    try {
+      const creds = await getAccount(rule.account);
+      if (!creds) throw new FitpassError("UNKNOWN_ACCOUNT", `Unknown account "${rule.account}".`);
+      result = await runFitpass({
+        ...creds,
+        TARGET_DATE: occ.targetDate,
+        TARGET_TIME: occ.targetTime,
+        TARGET_NAME: occ.targetName,
+        NEW_CAPACITY: occ.newCapacity,
+        STRICT_REQUIRE_NAME: rule.strictRequireName,
+        RUN_ID: jobId,
+        PROFILE: await getProfile(rule.account),
+        AUDIT: { source: "rule", account: rule.account, keyId: rule.createdBy, ruleId: rule.id },
+        onStep
+      });
+    } catch (err) {
+      result = failure(err);
+    }
+    await recordOutcome(rule.id, jobId, result).catch((err) => logError("[RULES] Could not record outcome:", err));
+    return result;
+  };
+}
+
+async function recordOutcome(ruleId, jobId, result) {
+  await mutate((rules) => {
+    const entry = rules.find((r) => r.id === ruleId)?.history.find((h) => h.jobId === jobId);
+    if (!entry) return;
+    Object.assign(entry, {
+      state: result.ok ? "succeeded" : "failed",
+      finishedAt: new Date().toISOString(),
+      ...(result.ok ? { message: result.message } : { error: result.error, code: result.code }),
+      ...(result.previousCapacity != null ? { previousCapacity: result.previousCapacity } : {})
+    });
+  });
+}
+
+// Fires every occurrence due since each rule's cursor. After downtime this catches up on
+// missed runs, as long as the class hasn't started yet; older ones are recorded as "missed".
+export async function runDueRules(now = Date.now()) {
+  return mutate(async (rules) => {
+    const fired = [];
+    for (const rule of rules) {
+      if (!rule.enabled) continue;
+      let portalUser;
+      for (const occ of occurrences(rule, Date.parse(rule.checkedUntil), now)) {
+        const late = now - Date.parse(occ.fireAt) > Math.max(RULES_TICK_MS, 60000) * 2;
+        const entry = { ...occ, recordedAt: new Date(now).toISOString(), catchUp: late };
+        if (atLocal(occ.targetDate, occ.targetTime).getTime() <= now) {
+          entry.state = "missed";
+        } else {
+          // Queued behind other runs for the same portal user (see jobs.js lanes)
+          portalUser ??= (await getAccount(rule.account).catch(() => null))?.email || null;
+          const job = enqueueJob("rule", runOccurrence(rule, occ), {
+            input: { account: rule.account, keyId: rule.createdBy, ruleId: rule.id, ...occ },
+            portalUser
+          });
+          Object.assign(entry, { state: "queued", jobId: job.id });
+        }
+        log(`[RULES] ${rule.id} ${occ.targetDate} ${occ.targetTime} → ${entry.state}${entry.catchUp ? " (catch-up)" : ""}`);
+        rule.history.push(entry);
+        fired.push({ ruleId: rule.id, ...entry });
+      }
+      rule.history.splice(0, Math.max(0, rule.history.length - RULE_HISTORY_LIMIT));
+      rule.checkedUntil = new Date(now).toISOString();
+    }
+    return fired;
+  });
+}
+
+// Jobs live in memory, so "queued" entries whose job is gone were cut off by a restart. The cursor
+// has already moved past them and they will never report back: close them as INTERRUPTED.
+export async function reconcileInterruptedRuns() {
+  return mutate((rules) => {
+    const closed = [];
+    for (const rule of rules) {
+      for (const entry of rule.history) {
+        if (entry.state !== "queued" || getJob(entry.jobId)) continue;
+        Object.assign(entry, {
+          state: "failed",
+          finishedAt: new Date().toISOString(),
+          error: "The server restarted before this run finished; check the class before running it again.",
+          code: "INTERRUPTED"
+        });
+        closed.push({ ruleId: rule.id, ...entry });
+      }
+    }
+    return closed;
+  });
+}
+
+let timer = null;
+export function startRuleScheduler() {
+  if (timer) return;
+  const tick = () => runDueRules().catch((err) => logError("[RULES] Scheduler tick failed:", err));
+  const reconciled = reconcileInterruptedRuns()
+    .then((closed) => {
+      if (closed.length) logWarn(`[RULES] Marked ${closed.length} interrupted run(s) as failed`);
+    })
+    .catch((err) => logError("[RULES] Could not reconcile interrupted runs:", err));
+  if (!RULES_TICK_MS) return;
+  reconciled.then(tick);
+  timer = setInterval(tick, RULES_TICK_MS);
+  timer.unref();
+}
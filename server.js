@@ -1,575 +1,959 @@
 // server.js — Fitpass capacity updater API (Express + Puppeteer)
 
+import { createHash } from "node:crypto";
 import express from "express";
-import puppeteer from "puppeteer";
+import { closePool } from "./pool.js";
+import { artifactPath, listArtifacts } from "./artifacts.js";
+import {
+  enqueueJob,
+  getJob,
+  isFinished,
+  releaseIdempotencyKey,
+  reserveIdempotencyKey,
+  serializeJob,
+  subscribeJobEvents,
+  waitForJob
+} from "./jobs.js";
+import {
+  DRIVERS,
+  EDIT_SCOPES,
+  ISO_DATE,
+  dateRange,
+  failure,
+  httpStatus,
+  runFitpass,
+  runFitpassBatch,
+  runPatch,
+  runSchedule,
+  unknownFields
+} from "./fitpass.js";
+import { ALIAS_RE, deleteAccount, getAccount, listAccounts, saveAccount } from "./credentials.js";
+import { log, logError, registerSecret, withSecrets } from "./log.js";
+import { METRICS_CONTENT_TYPE, renderMetrics } from "./metrics.js";
+import { callbackUrlError, getDelivery, listDeliveries, startWebhookRetries } from "./webhooks.js";
+import {
+  createRule,
+  deleteRule,
+  getRule,
+  getRuleHistory,
+  listRules,
+  previewRule,
+  startRuleScheduler,
+  updateRule
+} from "./rules.js";
+import { getProfile, listProfiles, reloadProfiles } from "./profiles.js";
+import { deepHealthCheck, HEALTH_CANARY_ACCOUNT, lastHealthCheck, startHealthMonitor } from "./health.js";
+import { getChange, historyCsv, listReverts, queryHistory } from "./history.js";
+import { authenticate, canUseAccount, createApiKey, listApiKeys, requireScope, revokeApiKey, SCOPES } from "./apikeys.js";
 
 const app = express();
 app.use(express.json({ limit: "1mb" }));
+// Passwords a request registers for redaction are forgotten once it's done (see log.js)
+app.use((_req, _res, next) => withSecrets(next));
 
 // ---------- Basic health ----------
 app.get("/", (_req, res) => res.send("✅ Fitpass automation online"));
 
-// ---------- Utilities ----------
-const TIMEOUT = 5000;
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-const normTimeTokens = (txt) =>
-  String(txt || "")
-    .toLowerCase()
-    .replace(/a\s*\.?\s*m\.?/gi, "am")
-    .replace(/p\s*\.?\s*m\.?/gi, "pm");
-
-function toMinutes(t) {
-  const m = String(t).match(/^\s*(\d{1,2})[:\.](\d{2})\s*(am|pm|a\.?m\.?|p\.?m\.?)?\s*$/i);
-  if (!m) return null;
-  let h = parseInt(m[1], 10);
-  const min = parseInt(m[2], 10);
-  const apRaw = m[3]?.toLowerCase();
-  if (apRaw) {
-    const isPM = /p/.test(apRaw.replace(/\s|\./g, ""));
-    if (h === 12 && !isPM) h = 0;
-    if (h !== 12 && isPM) h += 12;
-  }
-  return h * 60 + min;
+// ---------- Auth ----------
+// Every route below needs an API key (see apikeys.js); each route then checks its scope.
+app.use(authenticate);
+
+// One structured line per API call: method, path, the calling key and what was asked
+// (bodies are redacted by log.js).
+const logRequest = (req, fields = {}) =>
+  log(`[REQ] ${req.method} ${req.path}`, { method: req.method, path: req.path, keyId: req.apiKey?.id, ...fields });
+
+// ---------- Credentials ----------
+// Requests name a stored account (`account: "studio-polanco"`); inline email/password still work.
+// Answers the error itself and resolves to null when credentials can't be resolved.
+// Keys restricted to some accounts may only use those stored aliases.
+async function resolveCredentials(res, { account, email, password } = {}, apiKey) {
+  if (!canUseAccount(apiKey, account && String(account))) {
+    res.status(403).json({
+      ok: false,
+      code: "FORBIDDEN",
+      error: account ? `API key may not use account "${account}".` : "API key is restricted to stored accounts."
+    });
+    return null;
+  }
+  if (account) {
+    try {
+      const creds = await getAccount(String(account));
+      if (creds) return { ...creds, account: String(account) };
+      res.status(404).json({ ok: false, error: `Unknown account "${account}".` });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err?.message || String(err) });
+    }
+    return null;
+  }
+  if (email && password) {
+    registerSecret(password);
+    return { email, password, account: null };
+  }
+  res.status(400).json({ ok: false, error: "Missing credentials: account (or email and password)" });
+  return null;
 }
 
-function extractStartTimeMinutes(txt) {
-  const norm = normTimeTokens(txt);
-  const m = norm.match(/(\d{1,2})[:\.](\d{2})\s*(am|pm)?/i);
-  if (!m) return null;
-  const hh = m[1],
-    mm = m[2],
-    ap = m[3] || "";
-  return toMinutes(`${hh}:${mm}${ap ? " " + ap : ""}`);
-}
+// Answers 403 when the key is restricted to other accounts.
+const forbiddenAccount = (req, res, account) => {
+  if (canUseAccount(req.apiKey, account)) return false;
+  res.status(403).json({ ok: false, code: "FORBIDDEN", error: `API key may not use account "${account}".` });
+  return true;
+};
 
-// ---------- Robust calendar navigation (no nth-of-type) ----------
-async function gotoCalendar(page, { DEBUG = false } = {}) {
-  const dbg = (...a) => DEBUG && console.log("[DEBUG]", ...a);
-
-  // 1) Click links that look like calendar
-  const linkCandidates = [
-    'a[href*="/calendar"]',
-    '#sidebar a[href*="calendar"]',
-    'nav a[href*="calendar"]',
-    'a[href*="/schedules"]',
-    'a[href*="agenda"]',
-    'a[href*="horario"]'
-  ];
-  for (const sel of linkCandidates) {
-    const el = await page.$(sel);
-    if (el) {
-      dbg("Clicking", sel);
-      await Promise.all([
-        page.waitForNavigation({ waitUntil: "networkidle0", timeout: 15000 }).catch(() => {}),
-        el.click()
-      ]);
-      const onCal = await page.$(".fc, .fc-view, .fc-timegrid, .fc-daygrid");
-      if (onCal) return true;
-    }
+// ---------- API: POST /run ----------
+// Registers a job and answers 202 with its ID right away. With `wait: true` the
+// request is held until the job finishes (or the 55s proxy watchdog fires).
+const WAIT_WATCHDOG_MS = 55000;
+
+const badDriver = (res) =>
+  res.status(400).json({ ok: false, error: `driver must be one of: ${DRIVERS.join(", ")}` });
+const badScope = (res) =>
+  res.status(400).json({ ok: false, error: `scope must be one of: ${EDIT_SCOPES.join(", ")}` });
+
+// callbackUrl (optional on every job-creating route): the finished job is POSTed there, signed.
+const badCallback = async (res, callbackUrl) => {
+  const error = callbackUrl != null ? await callbackUrlError(callbackUrl) : null;
+  if (error) res.status(400).json({ ok: false, error });
+  return !!error;
+};
+
+// 202 with the job's ID, or — with `wait` — its result once it finishes within the watchdog.
+async function respondWithJob(res, job, wait) {
+  if (wait && (await waitForJob(job, WAIT_WATCHDOG_MS))) {
+    return res.status(httpStatus(job.result)).json({ ...job.result, jobId: job.id });
   }
+  return res.status(202).json({ ok: true, jobId: job.id, state: job.state, statusUrl: `/jobs/${job.id}` });
+}
 
-  // 2) Search by visible text
-  const clickedByText = await page.evaluate(() => {
-    const kws = ["calendar", "calendario", "agenda", "horario", "schedule"];
-    const els = Array.from(
-      document.querySelectorAll('a, button, [role="button"], [role="menuitem"] a, nav a')
-    );
-    for (const a of els) {
-      const t = (a.innerText || a.textContent || "").toLowerCase().trim();
-      if (kws.some((k) => t.includes(k))) {
-        a.scrollIntoView({ block: "center", behavior: "instant" });
-        a.click();
-        return true;
-      }
-    }
-    return false;
-  });
-  if (clickedByText) {
-    await page.waitForNavigation({ waitUntil: "networkidle0", timeout: 15000 }).catch(() => {});
-    const onCal = await page.$(".fc, .fc-view, .fc-timegrid, .fc-daygrid");
-    if (onCal) return true;
+// Idempotency-Key (optional on every job-creating POST): a retry with the same key and body gets
+// the original job back (Idempotent-Replayed: true) instead of starting another run. Keys are
+// scoped to the API key and route and remembered for IDEMPOTENCY_WINDOW_MS (see jobs.js).
+function idempotent(req, res, next) {
+  const header = req.get("idempotency-key");
+  if (header == null) return next();
+  if (!header || header.length > 255) {
+    return res.status(400).json({ ok: false, error: "Idempotency-Key must be 1-255 characters." });
   }
+  const key = `${req.apiKey.id} ${req.method} ${req.path} ${header}`;
+  const fingerprint = createHash("sha256").update(JSON.stringify(req.body ?? {})).digest("hex");
+  const seen = reserveIdempotencyKey(key, fingerprint);
+  if (seen.conflict === "reused") {
+    return res.status(422).json({
+      ok: false,
+      code: "IDEMPOTENCY_KEY_REUSED",
+      error: "This Idempotency-Key was already used with a different request body."
+    });
+  }
+  if (seen.conflict === "in-use") {
+    return res.status(409).json({
+      ok: false,
+      code: "IDEMPOTENCY_KEY_IN_USE",
+      error: "A request with this Idempotency-Key is still being processed; retry shortly."
+    });
+  }
+  if (seen.job) {
+    logRequest(req, { idempotencyKey: header, replayOf: seen.job.id });
+    res.set("Idempotent-Replayed", "true");
+    return respondWithJob(res, seen.job, !!req.body?.wait);
+  }
+  req.idempotency = { key, fingerprint };
+  res.on("close", () => releaseIdempotencyKey(key));
+  next();
+}
 
-  // 3) Navigate directly (session already authenticated)
-  const base = await page.evaluate(() => location.origin);
-  for (const path of ["/calendar", "/schedules", "/agenda"]) {
-    try {
-      const url = base + path;
-      dbg("Direct nav →", url);
-      await page.goto(url, { waitUntil: "networkidle0", timeout: 15000 });
-      const onCal = await page.$(".fc, .fc-view, .fc-timegrid, .fc-daygrid");
-      if (onCal) return true;
-    } catch {}
+// Per-request overrides of the matcher's MATCH_MARGIN / MATCH_MIN_SCORE defaults.
+const matchOptions = ({ matchMargin, minScore } = {}) => ({
+  ...(matchMargin != null ? { MARGIN: Number(matchMargin) } : {}),
+  ...(minScore != null ? { MIN_SCORE: Number(minScore) } : {})
+});
+
+// A NaN or negative override would switch off the NO_MATCH / AMBIGUOUS_MATCH checks.
+const badMatchOptions = (res, { matchMargin, minScore } = {}) => {
+  const invalid = Object.entries({ matchMargin, minScore }).find(
+    ([, v]) => v != null && (v === "" || typeof v === "boolean" || !Number.isFinite(Number(v)) || Number(v) < 0)
+  );
+  if (invalid) res.status(400).json({ ok: false, error: `${invalid[0]} must be a number of at least 0.` });
+  return !!invalid;
+};
+
+// newCapacity is typed into the portal: a whole number from 0 to 10000, the bounds rules use.
+const validCapacity = (v) => {
+  const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+  return Number.isInteger(n) && n >= 0 && n <= 10000;
+};
+const badCapacity = (res, value, label = "newCapacity") => {
+  if (validCapacity(value)) return false;
+  res.status(400).json({ ok: false, code: "INVALID_INPUT", error: `${label} must be an integer from 0 to 10000.` });
+  return true;
+};
+
+app.post("/run", requireScope("write-capacity"), idempotent, async (req, res) => {
+  // Log request
+  logRequest(req, { body: req.body });
+
+  const {
+    targetDate,
+    targetTime,
+    targetName = "",
+    eventId = "",
+    newCapacity,
+    strictRequireName = true,
+    debug = false,
+    dryRun = false,
+    artifacts,
+    driver,
+    scope = "single",
+    callbackUrl = null,
+    wait = false
+  } = req.body || {};
+
+  if (!targetDate || !(targetTime || eventId) || newCapacity == null) {
+    return res.status(400).json({
+      ok: false,
+      error: "Missing required fields: targetDate, targetTime (or eventId), newCapacity"
+    });
   }
+  if (badCapacity(res, newCapacity)) return;
+  if (driver != null && !DRIVERS.includes(driver)) return badDriver(res);
+  if (!EDIT_SCOPES.includes(scope)) return badScope(res);
+  if (await badCallback(res, callbackUrl)) return;
+  if (badMatchOptions(res, req.body)) return;
+  const creds = await resolveCredentials(res, req.body, req.apiKey);
+  if (!creds) return;
+  const { email, password, account } = creds;
+
+  const job = enqueueJob(
+    "run",
+    async ({ onStep, jobId }) =>
+      runFitpass({
+        email,
+        password,
+        TARGET_DATE: targetDate,
+        TARGET_TIME: targetTime || "",
+        TARGET_NAME: targetName,
+        EVENT_ID: eventId,
+        NEW_CAPACITY: Number(newCapacity),
+        STRICT_REQUIRE_NAME: !!strictRequireName,
+        MATCH: matchOptions(req.body),
+        DRY_RUN: !!dryRun,
+        DEBUG: !!debug,
+        RUN_ID: jobId,
+        ARTIFACTS: artifacts,
+        PROFILE: await getProfile(account),
+        AUDIT: { source: "api", account, keyId: req.apiKey.id },
+        ...(driver ? { DRIVER: driver } : {}),
+        SCOPE: scope,
+        onStep
+      }),
+    {
+      input: {
+        ...(account ? { account } : { email }),
+        keyId: req.apiKey.id,
+        targetDate,
+        targetTime,
+        targetName,
+        eventId,
+        newCapacity: Number(newCapacity),
+        scope,
+        dryRun: !!dryRun,
+        ...(driver ? { driver } : {})
+      },
+      callbackUrl,
+      idempotency: req.idempotency,
+      portalUser: email
+    }
+  );
 
-  throw new Error("Could not navigate to calendar; menu/link not found.");
-}
+  return respondWithJob(res, job, wait);
+});
 
-// ---------- Date navigation (tries input[data-date] & FC toolbar) ----------
-async function gotoDate(page, isoDate, DEBUG = false) {
-  const dlog = (...a) => DEBUG && console.log("[DEBUG]", ...a);
-  dlog("📅 gotoDate →", isoDate);
-
-  // Try native date inputs first
-  const dateInputs = [
-    'input[type="date"]',
-    'input[name="date"]',
-    'input[aria-label*="fecha" i]',
-    'input[placeholder*="fecha" i]'
-  ];
-  for (const sel of dateInputs) {
-    const exists = await page.$(sel);
-    if (exists) {
-      dlog("  Using date input:", sel);
-      await page.evaluate(
-        (selector, value) => {
-          const inp = document.querySelector(selector);
-          if (!inp) return;
-          inp.value = value;
-          inp.dispatchEvent(new Event("input", { bubbles: true }));
-          inp.dispatchEvent(new Event("change", { bubbles: true }));
-        },
-        sel,
-        isoDate
-      );
-      await page.waitForNetworkIdle({ idleTime: 500, timeout: 8000 }).catch(() => {});
-      return true;
+// ---------- API: POST /run/batch ----------
+// Body: { account (or email, password), items: [{ targetDate, targetTime, targetName, eventId, newCapacity, scope }],
+// scope (default for items), ... }
+app.post("/run/batch", requireScope("write-capacity"), idempotent, async (req, res) => {
+  const {
+    items,
+    strictRequireName = true,
+    debug = false,
+    dryRun = false,
+    artifacts,
+    scope = "single",
+    callbackUrl = null,
+    wait = false
+  } = req.body || {};
+  logRequest(req, { items: Array.isArray(items) ? items.length : items });
+
+  if (!Array.isArray(items) || !items.length) {
+    return res.status(400).json({ ok: false, error: "Missing required field: items[]" });
+  }
+  const invalid = items.findIndex(
+    (it) => !it?.targetDate || !(it?.targetTime || it?.eventId) || it?.newCapacity == null
+  );
+  if (invalid !== -1) {
+    return res
+      .status(400)
+      .json({ ok: false, error: `items[${invalid}] is missing targetDate, targetTime (or eventId) or newCapacity` });
+  }
+  const badItem = items.findIndex((it) => !validCapacity(it.newCapacity));
+  if (badItem !== -1 && badCapacity(res, items[badItem].newCapacity, `items[${badItem}].newCapacity`)) return;
+  if (![scope, ...items.map((it) => it.scope ?? scope)].every((sc) => EDIT_SCOPES.includes(sc))) return badScope(res);
+  if (await badCallback(res, callbackUrl)) return;
+  if (badMatchOptions(res, req.body)) return;
+
+  const batch = items.map((it) => ({
+    TARGET_DATE: it.targetDate,
+    TARGET_TIME: it.targetTime || "",
+    TARGET_NAME: it.targetName || "",
+    EVENT_ID: it.eventId || "",
+    NEW_CAPACITY: Number(it.newCapacity),
+    SCOPE: it.scope ?? scope
+  }));
+  const creds = await resolveCredentials(res, req.body, req.apiKey);
+  if (!creds) return;
+  const { email, password, account } = creds;
+
+  const job = enqueueJob(
+    "batch",
+    async ({ onStep, jobId }) =>
+      runFitpassBatch({
+        email,
+        password,
+        items: batch,
+        STRICT_REQUIRE_NAME: !!strictRequireName,
+        MATCH: matchOptions(req.body),
+        DRY_RUN: !!dryRun,
+        DEBUG: !!debug,
+        RUN_ID: jobId,
+        ARTIFACTS: artifacts,
+        PROFILE: await getProfile(account),
+        AUDIT: { source: "batch", account, keyId: req.apiKey.id },
+        onStep
+      }),
+    {
+      input: { ...(account ? { account } : { email }), keyId: req.apiKey.id, items, dryRun: !!dryRun },
+      callbackUrl,
+      idempotency: req.idempotency,
+      portalUser: email
     }
+  );
+
+  return respondWithJob(res, job, wait);
+});
+
+// ---------- API: POST /run/patch ----------
+// Body: { account (or email, password), targetDate, targetTime, targetName, eventId,
+// fields: { room: "Sala B", instructor: "Luis", startTime: "08:00", duration: 45, active: false } }.
+// Field names come from the account's profile (`fields` section). scope: single | following | all.
+app.post("/run/patch", requireScope("write-capacity"), idempotent, async (req, res) => {
+  logRequest(req, { body: req.body });
+  const {
+    targetDate,
+    targetTime,
+    targetName = "",
+    eventId = "",
+    fields,
+    strictRequireName = true,
+    debug = false,
+    dryRun = false,
+    artifacts,
+    scope = "single",
+    callbackUrl = null,
+    wait = false
+  } = req.body || {};
+
+  if (!targetDate || !(targetTime || eventId)) {
+    return res.status(400).json({ ok: false, error: "Missing required fields: targetDate, targetTime (or eventId)" });
+  }
+  const values = fields && typeof fields === "object" && !Array.isArray(fields) ? Object.values(fields) : [];
+  if (!values.length || values.some((v) => !["string", "number", "boolean"].includes(typeof v))) {
+    return res
+      .status(400)
+      .json({ ok: false, error: "fields must be an object of field names to string, number or boolean values" });
+  }
+  if (!EDIT_SCOPES.includes(scope)) return badScope(res);
+  if (await badCallback(res, callbackUrl)) return;
+  if (badMatchOptions(res, req.body)) return;
+  const creds = await resolveCredentials(res, req.body, req.apiKey);
+  if (!creds) return;
+  const { email, password, account } = creds;
+
+  let profile;
+  try {
+    profile = await getProfile(account);
+  } catch (err) {
+    return res.status(500).json(failure(err));
+  }
+  const unknown = unknownFields(profile, fields);
+  if (unknown.length) {
+    return res.status(400).json({
+      ok: false,
+      error: `Unknown field(s): ${unknown.join(", ")}`,
+      code: "UNKNOWN_FIELD",
+      fields: Object.keys(profile.fields)
+    });
   }
 
-  // Click the cell with data-date or navlink
-  const tryOpen = async () => {
-    const sels = [
-      `td[data-date="${isoDate}"]`,
-      `a[data-navlink="${isoDate}"]`,
-      `th [data-date="${isoDate}"]`,
-      `.fc-col-header [data-date="${isoDate}"] a`
-    ];
-    for (const s of sels) {
-      const el = await page.$(s);
-      if (el) {
-        dlog("  Clicking date element:", s);
-        await el.click();
-        await page.waitForNetworkIdle({ idleTime: 400, timeout: 8000 }).catch(() => {});
-        return true;
-      }
-    }
-    return false;
-  };
-
-  const clickBtn = async (selectors) => {
-    for (const s of selectors) {
-      const btn = await page.$(s);
-      if (btn) {
-        dlog("  Nav button:", s);
-        await btn.click();
-        await page.waitForNetworkIdle({ idleTime: 300, timeout: 8000 }).catch(() => {});
-        return true;
-      }
+  const job = enqueueJob(
+    "patch",
+    async ({ onStep, jobId }) =>
+      runPatch({
+        email,
+        password,
+        TARGET_DATE: targetDate,
+        TARGET_TIME: targetTime || "",
+        TARGET_NAME: targetName,
+        EVENT_ID: eventId,
+        FIELDS: fields,
+        SCOPE: scope,
+        STRICT_REQUIRE_NAME: !!strictRequireName,
+        MATCH: matchOptions(req.body),
+        DRY_RUN: !!dryRun,
+        DEBUG: !!debug,
+        RUN_ID: jobId,
+        ARTIFACTS: artifacts,
+        PROFILE: profile,
+        AUDIT: { source: "api", account, keyId: req.apiKey.id },
+        onStep
+      }),
+    {
+      input: {
+        ...(account ? { account } : { email }),
+        keyId: req.apiKey.id,
+        targetDate,
+        targetTime,
+        targetName,
+        eventId,
+        fields,
+        scope,
+        dryRun: !!dryRun
+      },
+      callbackUrl,
+      idempotency: req.idempotency,
+      portalUser: email
     }
-    return false;
-  };
-
-  if (await tryOpen()) return true;
-  for (let i = 0; i < 24; i++) {
-    const moved = await clickBtn([
-      ".fc-next-button",
-      'button[title="Next"]',
-      'button[aria-label*="Next" i]',
-      "#calendar .fc-toolbar .fc-next-button"
-    ]);
-    if (!moved) break;
-    if (await tryOpen()) return true;
-  }
-  for (let i = 0; i < 24; i++) {
-    const moved = await clickBtn([
-      ".fc-prev-button",
-      'button[title="Prev"]',
-      'button[aria-label*="Prev" i]',
-      "#calendar .fc-toolbar .fc-prev-button"
-    ]);
-    if (!moved) break;
-    if (await tryOpen()) return true;
-  }
-
-  throw new Error(`Could not navigate calendar to ${isoDate}.`);
-}
+  );
 
-// ---------- Modal & form gating ----------
-async function closeModalIfOpen(page, DEBUG = false) {
-  const dlog = (...a) => DEBUG && console.log("[DEBUG]", ...a);
-  const safeCloseSelectors = [
-    '#schedule_modal_container button.close',
-    '#schedule_modal_container [data-bs-dismiss="modal"]',
-    ".modal [data-bs-dismiss=\"modal\"]",
-    ".modal .btn-close"
-  ];
-  for (const sel of safeCloseSelectors) {
-    const el = await page.$(sel);
-    if (el) {
-      const text = (await page.evaluate((e) => e.textContent || "", el))
-        .toLowerCase()
-        .trim();
-      if (["cancelar clase", "eliminar", "borrar", "delete", "remove"].some((k) => text.includes(k))) {
-        dlog("  Skipping destructive:", text);
-        continue;
-      }
-      dlog("  Closing modal via:", sel);
-      await el.click();
-      await page.waitForNetworkIdle({ idleTime: 200, timeout: 4000 }).catch(() => {});
-      return;
-    }
-  }
-  dlog("  Closing modal via Escape");
-  await page.keyboard.press("Escape").catch(() => {});
-  await sleep(200);
-}
+  return respondWithJob(res, job, wait);
+});
 
-async function modalMatchesTarget(page, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, DEBUG = false) {
-  const dlog = (...a) => DEBUG && console.log("[DEBUG]", ...a);
-  await page.waitForSelector("#schedule_modal_container, .modal", { visible: true, timeout: TIMEOUT });
-  await sleep(500);
-  const raw = await page.evaluate(() => {
-    const n = document.querySelector("#schedule_modal_container") || document.querySelector(".modal");
-    return n?.innerText || "";
-  });
-  const txt = normTimeTokens(raw);
-  const startMins = extractStartTimeMinutes(txt);
-  const targetMins = toMinutes(TARGET_TIME);
-  const timeOK = startMins === targetMins;
-  const nameOK = TARGET_NAME ? txt.toLowerCase().includes(TARGET_NAME.toLowerCase()) : true;
-  const isCreateModal =
-    !txt.includes("hora de la clase") &&
-    !txt.includes("fecha de inicio") &&
-    (txt.includes("disciplina") || txt.includes("cupo fitpass"));
-  if (isCreateModal) return false;
-  return STRICT_REQUIRE_NAME ? timeOK && nameOK : timeOK && nameOK;
-}
+// ---------- API: GET /schedule ----------
+// Query: ?date=YYYY-MM-DD or ?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Credentials: ?account=<alias> (or X-Fitpass-Account), else X-Fitpass-Email / X-Fitpass-Password
+// headers — never a password in the URL.
+const SCHEDULE_MAX_DAYS = Number(process.env.SCHEDULE_MAX_DAYS || 31);
 
-async function formMatchesTarget(
-  page,
-  TARGET_DATE,
-  TARGET_TIME,
-  TARGET_NAME,
-  STRICT_REQUIRE_NAME,
-  DEBUG = false
-) {
-  const dlog = (...a) => DEBUG && console.log("[DEBUG]", ...a);
-  const selectorCandidates = [
-    '[id^="schedule_form_"]',
-    'form[action*="schedules"]',
-    "#schedule_modal_container form",
-    ".modal form",
-    "form"
-  ];
-  let raw = "";
-  for (const sel of selectorCandidates) {
-    const el = await page.$(sel);
-    if (el) {
-      raw = await page.evaluate((n) => n.innerText || "", el);
-      if (raw) break;
+app.get("/schedule", requireScope("read-schedule"), async (req, res) => {
+  const from = String(req.query.from || req.query.date || "");
+  const to = String(req.query.to || from);
+  logRequest(req, { from, to });
+
+  if (!ISO_DATE.test(from) || !ISO_DATE.test(to) || to < from) {
+    return res.status(400).json({ ok: false, error: "Provide ?date=YYYY-MM-DD or ?from=YYYY-MM-DD&to=YYYY-MM-DD" });
+  }
+  if (dateRange(from, to).length > SCHEDULE_MAX_DAYS) {
+    return res.status(400).json({ ok: false, error: `Date range is limited to ${SCHEDULE_MAX_DAYS} days` });
+  }
+  const callbackUrl = req.query.callbackUrl ? String(req.query.callbackUrl) : null;
+  if (await badCallback(res, callbackUrl)) return;
+  const creds = await resolveCredentials(
+    res,
+    {
+      account: req.query.account || req.get("x-fitpass-account"),
+      email: req.get("x-fitpass-email"),
+      password: req.get("x-fitpass-password")
+    },
+    req.apiKey
+  );
+  if (!creds) return;
+  const { email, password, account } = creds;
+
+  const job = enqueueJob(
+    "schedule",
+    async ({ onStep, jobId }) =>
+      runSchedule({
+        email,
+        password,
+        FROM: from,
+        TO: to,
+        DEBUG: req.query.debug === "true",
+        RUN_ID: jobId,
+        ARTIFACTS: req.query.artifacts,
+        PROFILE: await getProfile(account),
+        onStep
+      }),
+    {
+      input: { ...(account ? { account } : { email }), keyId: req.apiKey.id, from, to },
+      callbackUrl,
+      portalUser: email
     }
+  );
+
+  return respondWithJob(res, job, true);
+});
+
+// ---------- API: recurring capacity rules ----------
+// Rules live in rules.js; its scheduler turns each due occurrence into a "rule" job.
+const PREVIEW_MAX_DAYS = 90;
+
+const ruleError = (res, err) =>
+  res.status(err?.code === "INVALID_RULE" ? 400 : 500).json({ ok: false, error: err?.message || String(err), code: err?.code });
+
+// Loads the rule and checks the key may use its account; answers 404/403 itself.
+async function loadRule(req, res) {
+  const rule = await getRule(req.params.id);
+  if (!rule) {
+    res.status(404).json({ ok: false, error: `Unknown rule "${req.params.id}".` });
+    return null;
   }
-  const txt = normTimeTokens(raw);
-  const startMins = extractStartTimeMinutes(txt);
-  const targetMins = toMinutes(TARGET_TIME);
-  const timeOK = startMins === targetMins;
-  const nameOK = TARGET_NAME ? txt.toLowerCase().includes(TARGET_NAME.toLowerCase()) : true;
-  const pageTxt = normTimeTokens(await page.evaluate(() => document.body.innerText || ""));
-  const dateOK = pageTxt.includes(TARGET_DATE);
-  dlog("  [Form check] timeOK:", timeOK, "nameOK:", nameOK, "dateOK:", dateOK);
-  return (STRICT_REQUIRE_NAME ? timeOK && nameOK : timeOK && nameOK) && dateOK;
+  return forbiddenAccount(req, res, rule.account) ? null : rule;
 }
 
-// ---------- Find & open correct event ----------
-async function openCorrectEvent(page, TARGET_DATE, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, DEBUG = false) {
-  const dlog = (...a) => DEBUG && console.log("[DEBUG]", ...a);
-  await page.waitForSelector(".fc-event, .fc-daygrid-event, .fc-timegrid-event", {
-    visible: true,
-    timeout: TIMEOUT
-  });
+app.get("/rules", requireScope("read-schedule"), async (req, res) => {
+  try {
+    const rules = (await listRules()).filter((r) => canUseAccount(req.apiKey, r.account));
+    res.json({ ok: true, rules });
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
 
-  const events = await page.$$(
-    ".fc-timegrid-event, .fc-daygrid-event, .fc-event, a.fc-event, a.fc-daygrid-event"
-  );
+app.post("/rules", requireScope("write-capacity"), async (req, res) => {
+  logRequest(req, { body: req.body });
+  if (forbiddenAccount(req, res, req.body?.account)) return;
+  try {
+    res.status(201).json({ ok: true, rule: await createRule(req.body || {}, { keyId: req.apiKey.id }) });
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
 
-  const sameDate = async (el) =>
-    await page.evaluate(
-      (node, d) => {
-        if (node.closest?.(`[data-date="${d}"]`)) return true;
-        let n = node;
-        while (n && n !== document.documentElement) {
-          if (n.getAttribute) {
-            const dd = n.getAttribute("data-date");
-            if (dd === d) return true;
-            const nav = n.getAttribute("data-navlink");
-            if (nav === d) return true;
-          }
-          n = n.parentNode;
-        }
-        return false;
-      },
-      el,
-      TARGET_DATE
-    );
-
-  const targetMins = toMinutes(TARGET_TIME);
-  const dateEvents = [];
-  for (const ev of events) {
-    if (!(await sameDate(ev))) continue;
-    const txt = (await page.evaluate((n) => n.textContent || "", ev)).toLowerCase();
-    dateEvents.push({ ev, preview: txt.trim().replace(/\s+/g, " ").slice(0, 160) });
-  }
-  if (!dateEvents.length) return false;
-
-  const scored = dateEvents
-    .map(({ ev, preview }) => {
-      const startMins = extractStartTimeMinutes(preview);
-      const timeScore =
-        startMins === targetMins ? 100 : startMins ? Math.max(0, 100 - Math.abs(startMins - targetMins)) : 0;
-      const nameScore = TARGET_NAME ? (preview.includes(TARGET_NAME.toLowerCase()) ? 50 : 0) : 50;
-      return { ev, preview, score: timeScore + nameScore };
-    })
-    .sort((a, b) => b.score - a.score);
-
-  const best = scored[0];
-  if (!best) return false;
-
-  // Scroll + click with fallbacks
-  await best.ev.evaluate((n) => n.scrollIntoView({ block: "center", behavior: "instant" }));
+app.get("/rules/:id", requireScope("read-schedule"), async (req, res) => {
   try {
-    await best.ev.click();
-  } catch {}
+    const rule = await loadRule(req, res);
+    if (rule) res.json({ ok: true, rule });
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
+
+app.patch("/rules/:id", requireScope("write-capacity"), async (req, res) => {
+  logRequest(req, { body: req.body });
   try {
-    await page.evaluate(
-      (el) => el.dispatchEvent(new MouseEvent("click", { view: window, bubbles: true, cancelable: true })),
-      best.ev
-    );
-  } catch {}
-  await sleep(100);
-
-  // Gate 1: modal must match
-  const okModal = await modalMatchesTarget(page, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, DEBUG);
-  if (!okModal) {
-    await closeModalIfOpen(page, DEBUG);
-    await sleep(200);
-    return false;
-  }
-
-  // Proceed to "EDITAR CLASE"
-  await page.waitForSelector("#schedule_modal_container a.btn-primary, .modal a.btn-primary", {
-    visible: true,
-    timeout: TIMEOUT
-  });
-  await Promise.all([
-    page.waitForNavigation({ waitUntil: "networkidle0", timeout: 15000 }).catch(() => {}),
-    page.click("#schedule_modal_container a.btn-primary, .modal a.btn-primary")
-  ]);
+    if (!(await loadRule(req, res))) return;
+    if (req.body?.account != null && forbiddenAccount(req, res, req.body.account)) return;
+    res.json({ ok: true, rule: await updateRule(req.params.id, req.body || {}) });
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
 
-  // Gate 2: edit form must match
-  return await formMatchesTarget(page, TARGET_DATE, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, DEBUG);
-}
+app.delete("/rules/:id", requireScope("write-capacity"), async (req, res) => {
+  try {
+    if (!(await loadRule(req, res))) return;
+    await deleteRule(req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
 
-// ---------- Main runner (wraps your working flow) ----------
-async function runFitpass({
-  email,
-  password,
-  TARGET_DATE,
-  TARGET_TIME,
-  TARGET_NAME = "",
-  NEW_CAPACITY,
-  STRICT_REQUIRE_NAME = true,
-  DEBUG = false
-}) {
-  const dlog = (...a) => DEBUG && console.log("[DEBUG]", ...a);
-
-  const browser = await puppeteer.launch({
-    headless: true,
-    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || "/usr/bin/chromium",
-    args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--disable-gpu"],
-    defaultViewport: { width: 1440, height: 900 },
-    timeout: 120000
-  });
+// ?days=N (default 14) — upcoming occurrences with their fire time and target class
+app.get("/rules/:id/preview", requireScope("read-schedule"), async (req, res) => {
+  const days = Math.min(Number(req.query.days) || 14, PREVIEW_MAX_DAYS);
+  try {
+    if (!(await loadRule(req, res))) return;
+    res.json({ ok: true, ruleId: req.params.id, days, occurrences: await previewRule(req.params.id, days) });
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
 
-  const page = await browser.newPage();
-  page.setDefaultTimeout(TIMEOUT);
+// Newest first: queued / succeeded / failed / missed, with the job ID of each run
+app.get("/rules/:id/history", requireScope("read-schedule"), async (req, res) => {
+  try {
+    if (!(await loadRule(req, res))) return;
+    res.json({ ok: true, ruleId: req.params.id, history: await getRuleHistory(req.params.id) });
+  } catch (err) {
+    ruleError(res, err);
+  }
+});
 
-  // Extra logs (helpful on Railway)
-  page.on("console", (msg) => console.log("[PAGE]", msg.text()));
-  page.on("requestfailed", (r) => console.log("[REQ FAIL]", r.url(), r.failure()?.errorText));
-  page.on("response", (resp) => {
-    if (resp.status() >= 400) console.log("[HTTP " + resp.status() + "]", resp.url());
-  });
+// ---------- API: stored accounts ----------
+// Passwords are encrypted with FITPASS_CREDENTIALS_KEY and never returned.
+app.get("/accounts", requireScope("admin"), async (_req, res) => {
+  try {
+    res.json({ ok: true, accounts: await listAccounts() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
 
-  const step = async (label, fn) => {
-    console.log("➡️ ", label);
-    const t = Date.now();
-    try {
-      const r = await fn();
-      console.log("✅", label, Date.now() - t + "ms");
-      return r;
-    } catch (e) {
-      console.error("❌", label, e?.message || e);
-      throw e;
+app.post("/accounts", requireScope("admin"), async (req, res) => {
+  const { alias, email, password } = req.body || {};
+  logRequest(req, { body: req.body });
+  if (!alias || !email || !password) {
+    return res.status(400).json({ ok: false, error: "Missing required fields: alias, email, password" });
+  }
+  if (!ALIAS_RE.test(alias)) {
+    return res.status(400).json({ ok: false, error: "alias may only contain letters, digits, - and _" });
+  }
+  try {
+    res.status(201).json({ ok: true, account: await saveAccount(alias, { email, password }) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
+
+app.delete("/accounts/:alias", requireScope("admin"), async (req, res) => {
+  try {
+    if (!(await deleteAccount(req.params.alias))) {
+      return res.status(404).json({ ok: false, error: `Unknown account "${req.params.alias}".` });
     }
-  };
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
 
+// ---------- API: API keys (admin) ----------
+// The plaintext key is only returned by POST; the store keeps its SHA-256.
+app.get("/admin/keys", requireScope("admin"), async (_req, res) => {
   try {
-    // 1) Login (your working selectors)
-    await step("Open login", () =>
-      page.goto("https://admin2.fitpass.com/sessions/new", { waitUntil: "domcontentloaded" })
-    );
-    await step("Type credentials", async () => {
-      await page.waitForSelector("#login_user_email", { visible: true });
-      await page.type("#login_user_email", email, { delay: 25 });
-      await page.click("#login_user_password");
-      await page.type("#login_user_password", password, { delay: 25 });
-    });
-    await step("Submit login", async () => {
-      await Promise.all([
-        page.waitForNavigation({ waitUntil: "networkidle0", timeout: 15000 }).catch(() => {}),
-        page.click("#new_login_user button")
-      ]);
-      console.log("[DEBUG] URL after login:", await page.url());
-    });
+    res.json({ ok: true, keys: await listApiKeys() });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
 
-    // 2) Calendar nav (robust)
-    await step("Go to calendar", () => gotoCalendar(page, { DEBUG }));
+app.post("/admin/keys", requireScope("admin"), async (req, res) => {
+  const { name, scopes, accounts = [] } = req.body || {};
+  if (!name || !Array.isArray(scopes) || !Array.isArray(accounts)) {
+    return res.status(400).json({ ok: false, error: `Missing required fields: name, scopes[] (${SCOPES.join(", ")})` });
+  }
+  try {
+    res.status(201).json({ ok: true, ...(await createApiKey({ name, scopes, accounts })) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err?.message || String(err) });
+  }
+});
 
-    // 3) Date
-    await step("Select date " + TARGET_DATE, () => gotoDate(page, TARGET_DATE, DEBUG));
+app.delete("/admin/keys/:id", requireScope("admin"), async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id);
+    if (!apiKey) return res.status(404).json({ ok: false, error: `Unknown API key "${req.params.id}".` });
+    res.json({ ok: true, apiKey });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
 
-    // 4) Open correct event
-    const opened = await step("Open correct event", () =>
-      openCorrectEvent(page, TARGET_DATE, TARGET_TIME, TARGET_NAME, STRICT_REQUIRE_NAME, DEBUG)
-    );
-    if (!opened) throw new Error(`No matching event for ${TARGET_DATE} at "${TARGET_TIME}"${TARGET_NAME ? ` (${TARGET_NAME})` : ""}.`);
+// ---------- API: GET /history ----------
+// Audit history of capacity writes (see history.js). Query: from/to (change date), classFrom/classTo,
+// name, account, keyId, outcome=ok|failed, limit; format=csv (or Accept: text/csv) for a download.
+const HISTORY_MAX_LIMIT = 5000;
+
+app.get("/history", requireScope("read-schedule"), async (req, res) => {
+  const q = Object.fromEntries(Object.entries(req.query).map(([k, v]) => [k, String(v)]));
+  const badDate = ["from", "to", "classFrom", "classTo"].find((k) => q[k] && !ISO_DATE.test(q[k]));
+  if (badDate) return res.status(400).json({ ok: false, error: `${badDate} must be YYYY-MM-DD` });
+  if (q.outcome && !["ok", "failed"].includes(q.outcome)) {
+    return res.status(400).json({ ok: false, error: "outcome must be ok or failed" });
+  }
+  if (q.account && forbiddenAccount(req, res, q.account)) return;
 
-    // 5) Set capacity
-    await step("Change capacity", async () => {
-      await page.waitForSelector("#schedule_lesson_availability", { visible: true, timeout: TIMEOUT });
-      await page.click("#schedule_lesson_availability", { clickCount: 3 });
-      await page.type("#schedule_lesson_availability", String(NEW_CAPACITY), { delay: 20 });
+  try {
+    const changes = await queryHistory({
+      ...q,
+      accounts: req.apiKey.accounts,
+      limit: Math.min(Number(q.limit) || 500, HISTORY_MAX_LIMIT)
     });
+    if (q.format === "csv" || (!q.format && req.accepts(["json", "text/csv"]) === "text/csv")) {
+      res.attachment("fitpass-history.csv");
+      return res.type("text/csv").send(historyCsv(changes));
+    }
+    res.json({ ok: true, count: changes.length, changes });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
 
-    // 6) Save
-    await step("Save form", async () => {
-      await page.waitForSelector('footer button[type="submit"], footer > div:nth-of-type(1) button', {
-        visible: true,
-        timeout: TIMEOUT
-      });
-      await Promise.all([
-        page.waitForNetworkIdle({ idleTime: 800, timeout: 15000 }).catch(() => {}),
-        page.click('footer button[type="submit"], footer > div:nth-of-type(1) button')
-      ]);
-    });
+// ---------- API: changes (single history entries) ----------
+async function loadChange(req, res) {
+  const change = await getChange(req.params.id);
+  if (!change) {
+    res.status(404).json({ ok: false, error: `Unknown change "${req.params.id}".` });
+    return null;
+  }
+  if (forbiddenAccount(req, res, change.account)) return null;
+  return change;
+}
 
-    // 7) “Editar solo esta clase”
-    await step('Confirm "Editar solo esta clase"', async () => {
-      const buttons = await page.$$("div.text-start button");
-      if (buttons.length) {
-        await Promise.all([
-          page.waitForNetworkIdle({ idleTime: 800, timeout: 15000 }).catch(() => {}),
-          buttons[0].click()
-        ]);
-      } else {
-        throw new Error('Could not find "EDITAR SOLO ESTA CLASE" button.');
-      }
-    });
+app.get("/changes/:id", requireScope("read-schedule"), async (req, res) => {
+  try {
+    const change = await loadChange(req, res);
+    if (change) res.json({ ok: true, change, reverts: await listReverts(change.id) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
 
-    await page.close().catch(() => {});
-    await browser.close().catch(() => {});
-    return {
-      ok: true,
-      message: `Capacity ${NEW_CAPACITY} set for ${TARGET_DATE} ${TARGET_TIME}${TARGET_NAME ? ` (${TARGET_NAME})` : ""}`
-    };
+// Writes the change's previousCapacity back through the same matching gates, targeting the
+// event it matched. Refuses (CAPACITY_CHANGED) if the class no longer shows the value we set,
+// unless `force: true`. Credentials: the change's stored account, or email/password for the
+// same portal user. Body: { force, dryRun, debug, artifacts, driver, wait, account | email, password }.
+app.post("/changes/:id/revert", requireScope("write-capacity"), idempotent, async (req, res) => {
+  const { force = false, dryRun = false, debug = false, artifacts, driver, callbackUrl = null, wait = false } =
+    req.body || {};
+  if (driver != null && !DRIVERS.includes(driver)) return badDriver(res);
+  if (await badCallback(res, callbackUrl)) return;
+  logRequest(req, { body: req.body });
+
+  let change;
+  try {
+    change = await loadChange(req, res);
+    if (!change) return;
+    if (!change.ok || change.previousCapacity == null) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "Only successful changes with a recorded previous capacity can be reverted." });
+    }
+    if (change.scope && change.scope !== "single") {
+      return res.status(409).json({
+        ok: false,
+        error: `This change applied to ${change.scope === "all" ? "the whole series" : "following classes"}; only single-class changes can be reverted.`
+      });
+    }
+    if (!force && (await listReverts(change.id)).length) {
+      return res.status(409).json({ ok: false, error: "This change was already reverted. Use force to revert again." });
+    }
   } catch (err) {
-    await page.close().catch(() => {});
-    await browser.close().catch(() => {});
-    return { ok: false, error: err?.message || String(err) };
+    return res.status(500).json({ ok: false, error: err?.message || String(err) });
   }
-}
 
-// ---------- API: POST /run ----------
-app.post("/run", async (req, res) => {
-  // Log request
-  console.log(`[REQ] POST /run body=`, JSON.stringify(req.body || {}));
-
-  // 55s watchdog to avoid proxy timeouts
-  const done = { sent: false };
-  const watchdog = setTimeout(() => {
-    if (!done.sent) {
-      done.sent = true;
-      res
-        .status(202)
-        .json({ ok: false, pending: true, message: "Job still running; check logs for progress." });
+  const creds = await resolveCredentials(
+    res,
+    { account: req.body?.account || change.account, email: req.body?.email, password: req.body?.password },
+    req.apiKey
+  );
+  if (!creds) return;
+  const { email, password, account } = creds;
+  if (String(email).toLowerCase() !== String(change.email).toLowerCase()) {
+    return res
+      .status(400)
+      .json({ ok: false, error: `Change ${change.id} was made as ${change.email}; use the same portal user.` });
+  }
+
+  const job = enqueueJob(
+    "revert",
+    async ({ onStep, jobId }) =>
+      runFitpass({
+        email,
+        password,
+        TARGET_DATE: change.targetDate,
+        TARGET_TIME: change.targetTime,
+        TARGET_NAME: change.targetName,
+        EVENT_ID: change.match?.id || change.match?.href || change.eventId,
+        NEW_CAPACITY: change.previousCapacity,
+        EXPECT_CURRENT: force ? null : change.newCapacity,
+        DRY_RUN: !!dryRun,
+        DEBUG: !!debug,
+        RUN_ID: jobId,
+        ARTIFACTS: artifacts,
+        PROFILE: await getProfile(account),
+        AUDIT: { source: "revert", account, keyId: req.apiKey.id, revertOf: change.id },
+        ...(driver ? { DRIVER: driver } : {}),
+        onStep
+      }),
+    {
+      input: {
+        ...(account ? { account } : { email }),
+        keyId: req.apiKey.id,
+        changeId: change.id,
+        force: !!force,
+        dryRun: !!dryRun
+      },
+      classes: [{ targetDate: change.targetDate, targetTime: change.targetTime, eventId: change.match?.id }],
+      callbackUrl,
+      idempotency: req.idempotency,
+      portalUser: email
     }
-  }, 55000);
+  );
 
+  return respondWithJob(res, job, wait);
+});
+
+// ---------- API: selector profiles (admin) ----------
+// Edit JSON files under PROFILES_DIR, then reload; a broken file leaves the current profiles active.
+app.get("/admin/profiles", requireScope("admin"), async (_req, res) => {
   try {
-    const {
-      email,
-      password,
-      targetDate,
-      targetTime,
-      targetName = "",
-      newCapacity,
-      strictRequireName = true,
-      debug = false,
-      dryRun = false
-    } = req.body || {};
-
-    if (!email || !password || !targetDate || !targetTime || newCapacity == null) {
-      if (!done.sent) {
-        clearTimeout(watchdog);
-        done.sent = true;
-        return res
-          .status(400)
-          .json({ ok: false, error: "Missing required fields: email, password, targetDate, targetTime, newCapacity" });
-      }
-      return;
-    }
+    res.json({ ok: true, ...(await listProfiles()) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
 
-    if (dryRun) {
-      if (!done.sent) {
-        clearTimeout(watchdog);
-        done.sent = true;
-        return res.json({ ok: true, dryRun: true, message: `Would set capacity to ${newCapacity}` });
-      }
-      return;
-    }
+app.post("/admin/profiles/reload", requireScope("admin"), async (_req, res) => {
+  try {
+    res.json({ ok: true, ...(await reloadProfiles()) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err?.message || String(err) });
+  }
+});
+
+// ---------- API: deep health ----------
+// Real browser + selector canary (see health.js). ?account=<alias> overrides HEALTH_CANARY_ACCOUNT;
+// ?login=false only checks the browser and the login page. 503 when a required check fails.
+// Signing in uses the account, so keys restricted to other accounts can't run the default canary.
+app.get("/health/deep", requireScope("read-schedule"), async (req, res) => {
+  const account = req.query.account ? String(req.query.account) : HEALTH_CANARY_ACCOUNT;
+  const login = req.query.login !== "false";
+  if (login && account && forbiddenAccount(req, res, account)) return;
+  try {
+    const report = await deepHealthCheck({ account, login });
+    res.status(report.ok ? 200 : 503).json(report);
+  } catch (err) {
+    res.status(503).json({ ok: false, error: err?.message || String(err), checks: [] });
+  }
+});
+
+// Last result from the background mode (HEALTH_CHECK_INTERVAL_MS) or the last on-demand run.
+app.get("/health/last", requireScope("read-schedule"), (_req, res) => {
+  const report = lastHealthCheck();
+  if (!report) return res.status(404).json({ ok: false, error: "No deep health check has run yet." });
+  res.status(report.ok ? 200 : 503).json(report);
+});
+
+// ---------- API: metrics ----------
+// Prometheus text format (see metrics.js); scrape with `authorization: Bearer <key>`.
+app.get("/metrics", requireScope("read-schedule"), (_req, res) => {
+  // res.end, not send(): express would reorder the content type's parameters
+  res.setHeader("content-type", METRICS_CONTENT_TYPE);
+  res.end(renderMetrics());
+});
+
+// ---------- API: GET /jobs/:id ----------
+// Jobs and their artifacts belong to the job's account. Keys restricted to some accounts only see
+// those; runs whose account can't be told (inline credentials, expired jobs, CLI runs) are refused.
+function forbiddenRun(req, res, job) {
+  const account = job?.input.account;
+  if (account) return forbiddenAccount(req, res, account);
+  if (canUseAccount(req.apiKey, null)) return false;
+  res.status(403).json({ ok: false, code: "FORBIDDEN", error: "API key is restricted to stored accounts." });
+  return true;
+}
+
+app.get("/jobs/:id", requireScope("read-schedule"), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found (unknown or expired)." });
+  if (forbiddenRun(req, res, job)) return;
+  res.json({ ok: true, job: serializeJob(job) });
+});
+
+// ---------- API: webhook deliveries ----------
+// The delivery log of callbackUrl webhooks (see webhooks.js): state pending | delivered | failed
+// and every attempt's status. Query: jobId, state, limit. One delivery also shows its payload.
+const DELIVERY_STATES = ["pending", "delivered", "failed"];
 
-    const result = await runFitpass({
-      email,
-      password,
-      TARGET_DATE: targetDate,
-      TARGET_TIME: targetTime,
-      TARGET_NAME: targetName,
-      NEW_CAPACITY: Number(newCapacity),
-      STRICT_REQUIRE_NAME: !!strictRequireName,
-      DEBUG: !!debug
+app.get("/webhooks/deliveries", requireScope("read-schedule"), async (req, res) => {
+  const { jobId, state, limit } = req.query;
+  if (state && !DELIVERY_STATES.includes(state)) {
+    return res.status(400).json({ ok: false, error: `state must be one of: ${DELIVERY_STATES.join(", ")}` });
+  }
+  try {
+    const deliveries = await listDeliveries({
+      jobId: jobId ? String(jobId) : undefined,
+      state,
+      accounts: req.apiKey.accounts,
+      limit: Math.min(Number(limit) || 100, 1000)
     });
+    res.json({ ok: true, count: deliveries.length, deliveries });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
 
-    if (!done.sent) {
-      clearTimeout(watchdog);
-      done.sent = true;
-      if (result.ok) return res.json(result);
-      return res.status(500).json(result);
-    }
+app.get("/webhooks/deliveries/:id", requireScope("read-schedule"), async (req, res) => {
+  try {
+    const delivery = await getDelivery(req.params.id);
+    if (!delivery) return res.status(404).json({ ok: false, error: `Unknown delivery "${req.params.id}".` });
+    if (forbiddenAccount(req, res, delivery.account)) return;
+    res.json({ ok: true, delivery });
   } catch (err) {
-    if (!done.sent) {
-      clearTimeout(watchdog);
-      done.sent = true;
-      return res.status(500).json({ ok: false, error: String(err?.message || err) });
-    }
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
   }
 });
 
+// ---------- API: live run events ----------
+// Server-Sent Events: state, step.start / step.end / step.fail, debug, console and http events as
+// the job runs, then "result" and the stream ends. Event IDs count up per job; a reconnect with
+// Last-Event-ID (or ?lastEventId=) replays what came after it, a new stream replays everything.
+const SSE_PING_MS = 15000;
+
+app.get("/runs/:id/events", requireScope("read-schedule"), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found (unknown or expired)." });
+  if (forbiddenRun(req, res, job)) return;
+  const afterId = Number(req.get("last-event-id") ?? req.query.lastEventId ?? 0) || 0;
+
+  res.writeHead(200, {
+    "content-type": "text/event-stream",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+    "x-accel-buffering": "no" // proxies must not buffer the stream
+  });
+  res.write("retry: 2000\n\n");
+
+  const unsubscribe = subscribeJobEvents(job, afterId, ({ id, type, at, data }) => {
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ at, ...data })}\n\n`);
+    if (type === "result") setImmediate(close);
+  });
+  const ping = setInterval(() => res.write(": ping\n\n"), SSE_PING_MS);
+  function close() {
+    clearInterval(ping);
+    unsubscribe();
+    if (!res.writableEnded) res.end();
+  }
+  req.on("close", close);
+  if (isFinished(job)) close();
+});
+
+// ---------- API: run artifacts ----------
+// Run IDs are job IDs; see artifacts.js for capture modes and retention.
+app.get("/runs/:id/artifacts", requireScope("read-schedule"), async (req, res) => {
+  if (forbiddenRun(req, res, getJob(req.params.id))) return;
+  const artifacts = await listArtifacts(req.params.id);
+  if (!artifacts) return res.status(404).json({ ok: false, error: "No artifacts for this run." });
+  res.json({ ok: true, runId: req.params.id, artifacts });
+});
+
+app.get("/runs/:id/artifacts/:name", requireScope("read-schedule"), (req, res) => {
+  if (forbiddenRun(req, res, getJob(req.params.id))) return;
+  const file = artifactPath(req.params.id, req.params.name);
+  if (!file) return res.status(404).json({ ok: false, error: "Artifact not found." });
+  res.sendFile(file);
+});
+
 // ---------- Crash guards ----------
-process.on("unhandledRejection", (e) => console.error("unhandledRejection:", e));
-process.on("uncaughtException", (e) => console.error("uncaughtException:", e));
+process.on("unhandledRejection", (e) => logError("unhandledRejection", e));
+process.on("uncaughtException", (e) => logError("uncaughtException", e));
+
+// Puppeteer subscribes to SIGTERM/SIGHUP to close its browsers, which also stops Node
+// from exiting on them; close the pool ourselves and exit (Railway redeploys send SIGTERM).
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, () => {
+    log(`${signal} received; closing browsers`, { signal });
+    closePool().finally(() => process.exit(0));
+  });
+}
 
 // ---------- Start server ----------
 const port = process.env.PORT || 3000;
 const host = "0.0.0.0";
-app.listen(port, host, () => console.log(`🚀 Server running on ${host}:${port}`));
+app.listen(port, host, () => {
+  log(`🚀 Server running on ${host}:${port}`, { host, port: Number(port) });
+  reloadProfiles().catch((err) => logError("[PROFILES] Could not load selector profiles:", err));
+  startRuleScheduler();
+  startHealthMonitor();
+  startWebhookRetries().catch((err) => logError("[WEBHOOK] Could not resume pending deliveries:", err));
+});
@@ -0,0 +1,30 @@
+// test/artifacts.test.js — artifact lookups stay inside ARTIFACTS_DIR/<runId>
+
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), "fitpass-artifacts-"));
+process.env.DATA_DIR = dataDir;
+const { ARTIFACTS_DIR, artifactPath, listArtifacts } = await import("../artifacts.js");
+
+const RUN = "0b0e7b9c-3f1e-4c47-9d0a-6f3f5d1c2a10";
+mkdirSync(path.join(ARTIFACTS_DIR, RUN), { recursive: true });
+writeFileSync(path.join(ARTIFACTS_DIR, RUN, "01-failure.png"), "png");
+writeFileSync(path.join(dataDir, "api-keys.json"), "[]");
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+test("finds a run's files and refuses anything outside its directory", async () => {
+  assert.equal(artifactPath(RUN, "01-failure.png"), path.join(ARTIFACTS_DIR, RUN, "01-failure.png"));
+  assert.deepEqual((await listArtifacts(RUN)).map((a) => a.name), ["01-failure.png"]);
+
+  assert.equal(artifactPath("..", "api-keys.json"), null);
+  assert.equal(artifactPath(".", RUN), null);
+  assert.equal(artifactPath(RUN, ".."), null);
+  assert.equal(artifactPath("not-a-run", "01-failure.png"), null);
+  assert.equal(await listArtifacts(".."), null);
+  assert.equal(await listArtifacts("."), null);
+});
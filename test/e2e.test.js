@@ -0,0 +1,538 @@
+// test/e2e.test.js — drives server.js (real Chromium) against the local mock portal
+//
+// Run with `npm test`. Needs Chromium at PUPPETEER_EXECUTABLE_PATH (default /usr/bin/chromium);
+// the suite is skipped when it isn't there.
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { existsSync, mkdtempSync, rmSync } from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { MOCK_EMAIL, MOCK_PASSWORD, isoDay, startMockPortal } from "./mock-portal.js";
+import { startWebhookReceiver } from "./webhook-receiver.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const CHROMIUM = process.env.PUPPETEER_EXECUTABLE_PATH || "/usr/bin/chromium";
+const skip = existsSync(CHROMIUM) ? false : `Chromium not found at ${CHROMIUM}`;
+
+const ADMIN_KEY = "e2e-admin-key";
+const WEBHOOK_SECRET = "e2e-webhook-secret";
+
+const freePort = () =>
+  new Promise((resolve) => {
+    const srv = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+
+describe("POST /run against the mock portal", { skip, timeout: 10 * 60 * 1000 }, () => {
+  let portal, server, api, dataDir, receiver;
+
+  before(async () => {
+    portal = await startMockPortal();
+    receiver = await startWebhookReceiver({ secret: WEBHOOK_SECRET });
+    dataDir = mkdtempSync(path.join(os.tmpdir(), "fitpass-e2e-"));
+    const port = await freePort();
+    api = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, ["server.js"], {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        PORT: String(port),
+        FITPASS_BASE_URL: portal.url,
+        DATA_DIR: dataDir,
+        BROWSER_POOL_SIZE: "1",
+        ARTIFACTS_MODE: "off",
+        ADMIN_API_KEY: ADMIN_KEY,
+        FITPASS_CREDENTIALS_KEY: "e2e-credentials-key",
+        WEBHOOK_SECRET,
+        WEBHOOK_ALLOWED_HOSTS: "127.0.0.1",
+        HEALTH_CANARY_ACCOUNT: "canary",
+        WEBHOOK_BACKOFF_MS: "50"
+      },
+      stdio: process.env.E2E_VERBOSE ? "inherit" : "ignore"
+    });
+    for (let i = 0; i < 50; i++) {
+      if (await fetch(api + "/").then((r) => r.ok, () => false)) return;
+      await new Promise((r) => setTimeout(r, 200));
+    }
+    throw new Error("server.js did not start");
+  });
+
+  after(async () => {
+    if (server && server.exitCode == null) {
+      const exited = new Promise((resolve) => server.once("exit", resolve));
+      server.kill();
+      await exited;
+    }
+    await portal?.close();
+    await receiver?.close();
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const run = async (body) => {
+    const res = await fetch(api + "/run", {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-api-key": ADMIN_KEY },
+      body: JSON.stringify({ email: MOCK_EMAIL, password: MOCK_PASSWORD, wait: true, ...body })
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  test("updates only the targeted occurrence of a recurring class and verifies it", async () => {
+    const { status, body } = await run({
+      targetDate: isoDay(1),
+      targetTime: "07:00",
+      targetName: "ponte reformer",
+      newCapacity: 12
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.ok, true);
+    assert.equal(body.verified, true);
+    assert.equal(body.previousCapacity, 10);
+    assert.equal(body.newCapacity, 12);
+    assert.equal(portal.classById(101).capacity, 12);
+    assert.equal(portal.classById(103).capacity, 10, "next occurrence in the series is untouched");
+    assert.deepEqual(portal.state.edits.at(-1), { id: 101, from: 10, to: 12, scope: "single" });
+  });
+
+  test("dry run reports current and proposed capacity without saving", async () => {
+    const before = portal.state.edits.length;
+    const { body } = await run({ targetDate: isoDay(1), targetTime: "18:00", targetName: "pilates basico", newCapacity: 9, dryRun: true });
+    assert.equal(body.ok, true, JSON.stringify(body));
+    assert.equal(body.currentCapacity, 6);
+    assert.equal(body.proposedCapacity, 9);
+    assert.match(body.match.preview, /pilates/);
+    assert.equal(portal.state.edits.length, before);
+  });
+
+  test("refuses to pick between two classes at the same time", async () => {
+    const { status, body } = await run({ targetDate: isoDay(2), targetTime: "07:00", targetName: "Ponte Reformer", newCapacity: 4 });
+    assert.equal(status, 409);
+    assert.equal(body.code, "AMBIGUOUS_MATCH");
+    assert.deepEqual(body.candidates.map((c) => c.id).sort(), ["201", "202"]);
+    assert.equal(portal.classById(201).capacity, 8);
+    assert.equal(portal.classById(202).capacity, 8);
+
+    const direct = await run({ targetDate: isoDay(2), eventId: "202", newCapacity: 4 });
+    assert.equal(direct.body.ok, true, JSON.stringify(direct.body));
+    assert.equal(portal.classById(202).capacity, 4);
+    assert.equal(portal.classById(201).capacity, 8);
+
+    // Overrides that would switch the checks off are refused up front
+    for (const bad of [{ matchMargin: "abc" }, { minScore: -1 }, { minScore: "" }]) {
+      const res = await run({ targetDate: isoDay(2), targetTime: "07:00", targetName: "Ponte Reformer", newCapacity: 4, ...bad });
+      assert.equal(res.status, 400, JSON.stringify(bad));
+    }
+  });
+
+  test("does not edit a class on another date", async () => {
+    const { status, body } = await run({ targetDate: isoDay(3), targetTime: "09:00", targetName: "Yoga Flow", newCapacity: 1 });
+    assert.equal(status, 404);
+    assert.equal(body.code, "NO_MATCH");
+    assert.equal(body.attempts, 1, "a missing class is not retried");
+    assert.equal(portal.classById(102).capacity, 15);
+  });
+
+  test("refuses capacities that aren't whole numbers from 0 to 10000 before queueing", async () => {
+    const before = portal.state.edits.length;
+    for (const newCapacity of ["abc", -3, 2.5, 10001, true, ""]) {
+      const { status, body } = await run({ targetDate: isoDay(1), targetTime: "09:00", newCapacity });
+      assert.equal(status, 400, JSON.stringify(newCapacity));
+      assert.equal(body.code, "INVALID_INPUT");
+      assert.equal(body.jobId, undefined);
+    }
+    const batch = await fetch(api + "/run/batch", {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-api-key": ADMIN_KEY },
+      body: JSON.stringify({
+        email: MOCK_EMAIL,
+        password: MOCK_PASSWORD,
+        items: [
+          { targetDate: isoDay(1), targetTime: "09:00", newCapacity: 12 },
+          { targetDate: isoDay(1), targetTime: "18:00", newCapacity: "abc" }
+        ]
+      })
+    });
+    assert.equal(batch.status, 400);
+    assert.deepEqual(await batch.json(), {
+      ok: false,
+      code: "INVALID_INPUT",
+      error: "items[1].newCapacity must be an integer from 0 to 10000."
+    });
+    assert.equal(portal.state.edits.length, before);
+  });
+
+  test("surfaces portal validation errors instead of reporting success", async () => {
+    const { status, body } = await run({ targetDate: isoDay(1), targetTime: "09:00", targetName: "Yoga Flow", newCapacity: 500 });
+    assert.equal(status, 422);
+    assert.equal(body.code, "SAVE_REJECTED");
+    assert.match(body.error, /Cupo inválido/);
+    assert.equal(portal.classById(102).capacity, 15);
+  });
+
+  test("logs in again when the pooled session has expired", async () => {
+    const logins = portal.state.logins;
+    portal.expireSessions();
+    const { body } = await run({ targetDate: isoDay(1), targetTime: "09:00", targetName: "Yoga Flow", newCapacity: 14 });
+    assert.equal(body.ok, true, JSON.stringify(body));
+    assert.equal(portal.state.logins, logins + 1);
+    assert.equal(portal.classById(102).capacity, 14);
+  });
+
+  test("answers 401 LOGIN_FAILED for wrong credentials without retrying", async () => {
+    const { status, body } = await run({
+      email: "nobody@example.com",
+      password: "wrong",
+      targetDate: isoDay(1),
+      targetTime: "09:00",
+      newCapacity: 3,
+      dryRun: true
+    });
+    assert.equal(status, 401, JSON.stringify(body));
+    assert.equal(body.code, "LOGIN_FAILED");
+    assert.equal(body.attempts, 1);
+  });
+
+  test("requires an API key with the write-capacity scope", async () => {
+    const anonymous = await fetch(api + "/run", { method: "POST" });
+    assert.equal(anonymous.status, 401);
+
+    const created = await fetch(api + "/admin/keys", {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-api-key": ADMIN_KEY },
+      body: JSON.stringify({ name: "reader", scopes: ["read-schedule"] })
+    }).then((r) => r.json());
+    assert.equal(created.ok, true, JSON.stringify(created));
+
+    const res = await fetch(api + "/run", {
+      method: "POST",
+      headers: { "content-type": "application/json", authorization: `Bearer ${created.key}` },
+      body: JSON.stringify({ targetDate: isoDay(1), targetTime: "09:00", newCapacity: 1 })
+    });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).code, "FORBIDDEN");
+  });
+
+  test("records every write in the audit history, filterable and exportable as CSV", async () => {
+    const written = await run({ targetDate: isoDay(1), targetTime: "18:00", targetName: "Pilates", newCapacity: 5 });
+    assert.equal(written.body.ok, true, JSON.stringify(written.body));
+    assert.ok(written.body.changeId);
+
+    const get = (query, headers = {}) =>
+      fetch(`${api}/history?${query}`, { headers: { "x-api-key": ADMIN_KEY, ...headers } });
+    const { changes } = await (await get("name=pilates basico")).json();
+    assert.equal(changes[0].id, written.body.changeId);
+    assert.equal(changes[0].previousCapacity, 6);
+    assert.equal(changes[0].newCapacity, 5);
+    assert.equal(changes[0].keyId, "bootstrap");
+    assert.match(changes[0].match.preview, /pilates/i);
+
+    const failed = await (await get("outcome=failed")).json();
+    assert.ok(failed.changes.length >= 2);
+    assert.ok(failed.changes.every((c) => !c.ok));
+    assert.ok(!failed.changes.some((c) => c.id === written.body.changeId));
+
+    const csv = await (await get("format=csv&name=pilates")).text();
+    assert.match(csv.split("\r\n")[0], /^id,at,source,account/);
+    assert.match(csv, new RegExp(written.body.changeId));
+  });
+
+  test("reverts a change unless the class was edited since", async () => {
+    const revert = async (id, body = {}) => {
+      const res = await fetch(`${api}/changes/${id}/revert`, {
+        method: "POST",
+        headers: { "content-type": "application/json", "x-api-key": ADMIN_KEY },
+        body: JSON.stringify({ email: MOCK_EMAIL, password: MOCK_PASSWORD, wait: true, ...body })
+      });
+      return { status: res.status, body: await res.json() };
+    };
+
+    const first = await run({ targetDate: isoDay(1), targetTime: "09:00", targetName: "Yoga Flow", newCapacity: 9 });
+    assert.equal(first.body.ok, true, JSON.stringify(first.body));
+    const before = first.body.previousCapacity;
+
+    const undone = await revert(first.body.changeId);
+    assert.equal(undone.body.ok, true, JSON.stringify(undone.body));
+    assert.equal(portal.classById(102).capacity, before);
+    assert.equal((await revert(first.body.changeId)).status, 409);
+
+    const second = await run({ targetDate: isoDay(1), targetTime: "09:00", targetName: "Yoga Flow", newCapacity: 7 });
+    portal.classById(102).capacity = 3; // someone else edits it in the portal
+    const refused = await revert(second.body.changeId);
+    assert.equal(refused.body.code, "CAPACITY_CHANGED");
+    assert.equal(portal.classById(102).capacity, 3);
+
+    const forced = await revert(second.body.changeId, { force: true });
+    assert.equal(forced.body.ok, true, JSON.stringify(forced.body));
+    assert.equal(portal.classById(102).capacity, before);
+  });
+
+  test("deep health check signs in with a canary account and checks each stage's selectors", async () => {
+    const headers = { "content-type": "application/json", "x-api-key": ADMIN_KEY };
+    const saved = await fetch(api + "/accounts", {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ alias: "canary", email: MOCK_EMAIL, password: MOCK_PASSWORD })
+    });
+    assert.equal(saved.status, 201);
+
+    const res = await fetch(api + "/health/deep?account=canary", { headers });
+    const report = await res.json();
+    assert.equal(res.status, 200, JSON.stringify(report));
+    assert.equal(report.ok, true);
+    const passed = report.checks.filter((c) => c.ok).map((c) => `${c.stage}/${c.name}`);
+    for (const name of ["browser/Launch browser", "login/selectors.loginEmail", "login/Sign in", "calendar/Reach calendar"]) {
+      assert.ok(passed.includes(name), `${name} did not pass: ${JSON.stringify(report.checks)}`);
+    }
+    assert.ok(report.checks.every((c) => c.ok === null || typeof c.ms === "number"));
+
+    const last = await (await fetch(api + "/health/last", { headers })).json();
+    assert.equal(last.checkedAt, report.checkedAt);
+  });
+
+  test("treats aliases named like Object.prototype keys as unknown accounts", async () => {
+    const { status, body } = await run({ email: undefined, password: undefined, account: "constructor", targetDate: isoDay(1), targetTime: "09:00", newCapacity: 3 });
+    assert.equal(status, 404, JSON.stringify(body));
+    assert.match(body.error, /Unknown account "constructor"/);
+    const removed = await fetch(api + "/accounts/toString", { method: "DELETE", headers: { "x-api-key": ADMIN_KEY } });
+    assert.equal(removed.status, 404);
+  });
+
+  test("shows jobs and artifacts only to keys that may use the job's account", async () => {
+    const headers = { "content-type": "application/json", "x-api-key": ADMIN_KEY };
+    const key = async (name, accounts) =>
+      (await fetch(api + "/admin/keys", {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ name, scopes: ["read-schedule", "write-capacity"], accounts })
+      }).then((r) => r.json())).key;
+    const canary = { "x-api-key": await key("canary-only", ["canary"]) };
+    const other = { "x-api-key": await key("other-only", ["other"]) };
+
+    const res = await fetch(api + "/run", {
+      method: "POST",
+      headers: { ...headers, ...canary },
+      body: JSON.stringify({ account: "canary", targetDate: isoDay(1), targetTime: "09:00", newCapacity: 3, dryRun: true })
+    });
+    const { jobId } = await res.json();
+    assert.equal((await fetch(`${api}/jobs/${jobId}`, { headers: canary })).status, 200);
+    for (const url of [`/jobs/${jobId}`, `/runs/${jobId}/artifacts`, `/runs/${jobId}/events`]) {
+      assert.equal((await fetch(api + url, { headers: other })).status, 403, url);
+    }
+    assert.equal((await fetch(`${api}/runs/%2E%2E/artifacts/api-keys.json`, { headers })).status, 404);
+  });
+
+  test("runs the default canary login only for keys that may use its account", async () => {
+    const created = await fetch(api + "/admin/keys", {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-api-key": ADMIN_KEY },
+      body: JSON.stringify({ name: "elsewhere", scopes: ["read-schedule"], accounts: ["other"] })
+    }).then((r) => r.json());
+    const headers = { "x-api-key": created.key };
+    const deep = await fetch(api + "/health/deep", { headers });
+    assert.equal(deep.status, 403);
+    assert.match((await deep.json()).error, /may not use account "canary"/);
+    const pageOnly = await fetch(api + "/health/deep?login=false", { headers });
+    assert.equal(pageOnly.status, 200, JSON.stringify(await pageOnly.json()));
+  });
+
+  test("patches other class fields and reports what changed", async () => {
+    const patch = async (body) => {
+      const res = await fetch(api + "/run/patch", {
+        method: "POST",
+        headers: { "content-type": "application/json", "x-api-key": ADMIN_KEY },
+        body: JSON.stringify({ email: MOCK_EMAIL, password: MOCK_PASSWORD, wait: true, ...body })
+      });
+      return { status: res.status, body: await res.json() };
+    };
+    const target = { targetDate: isoDay(1), targetTime: "18:00", targetName: "Pilates Básico" };
+
+    const unknown = await patch({ ...target, fields: { colour: "red" } });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, "UNKNOWN_FIELD");
+    assert.ok(unknown.body.fields.includes("room"));
+
+    const fields = { room: "sala c", instructor: "Luis", startTime: "6:30 pm", duration: 45, active: false, fitpassQuota: 4 };
+    const { status, body } = await patch({ ...target, fields });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.verified, true);
+    assert.deepEqual(body.unchanged, ["fitpassQuota"]);
+    assert.deepEqual(
+      Object.fromEntries(body.changes.map((c) => [c.field, [c.from, c.to]])),
+      {
+        room: ["Sala A", "Sala C"],
+        instructor: ["Ana López", "Luis Pérez"],
+        startTime: ["18:00", "18:30"],
+        duration: [50, 45],
+        active: [true, false]
+      }
+    );
+    const c = portal.classById(104);
+    assert.deepEqual([c.room, c.instructorId, c.start, c.end, c.active], ["Sala C", 2, "18:30", "19:15", false]);
+
+    const invalid = await patch({ ...target, targetTime: "18:30", fields: { instructor: "Nadie" } });
+    assert.equal(invalid.body.code, "INVALID_FIELD_VALUE");
+    assert.ok(invalid.body.options.includes("María Gómez"));
+  });
+
+  test("applies the requested recurrence scope and refuses one the class doesn't offer", async () => {
+    const following = await run({
+      targetDate: isoDay(1),
+      targetTime: "07:00",
+      targetName: "Ponte Reformer",
+      newCapacity: 11,
+      scope: "following"
+    });
+    assert.equal(following.body.ok, true, JSON.stringify(following.body));
+    assert.equal(following.body.scope, "following");
+    assert.equal(portal.classById(101).capacity, 11);
+    assert.equal(portal.classById(103).capacity, 11, "later occurrence in the series follows");
+    assert.equal(portal.state.edits.at(-1).scope, "following");
+
+    const revert = await fetch(`${api}/changes/${following.body.changeId}/revert`, {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-api-key": ADMIN_KEY },
+      body: JSON.stringify({ email: MOCK_EMAIL, password: MOCK_PASSWORD })
+    });
+    assert.equal(revert.status, 409);
+
+    const before = portal.classById(102).capacity;
+    const refused = await run({ targetDate: isoDay(1), targetTime: "09:00", targetName: "Yoga Flow", newCapacity: 2, scope: "all" });
+    assert.equal(refused.body.code, "SCOPE_NOT_OFFERED");
+    assert.deepEqual(refused.body.offered, ["Editar solo esta clase"]);
+    assert.equal(portal.classById(102).capacity, before);
+
+    const invalid = await run({ targetDate: isoDay(1), targetTime: "09:00", newCapacity: 2, scope: "series" });
+    assert.equal(invalid.status, 400);
+  });
+
+  test("POSTs the signed result to callbackUrl and logs the delivery", async () => {
+    const bad = await run({ targetDate: isoDay(1), targetTime: "09:00", newCapacity: 2, callbackUrl: "ftp://x" });
+    assert.equal(bad.status, 400);
+
+    receiver.failNext(1, 502);
+    const res = await fetch(api + "/run", {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-api-key": ADMIN_KEY },
+      body: JSON.stringify({
+        email: MOCK_EMAIL,
+        password: MOCK_PASSWORD,
+        targetDate: isoDay(3),
+        targetTime: "09:00",
+        newCapacity: 2,
+        callbackUrl: receiver.url
+      })
+    });
+    assert.equal(res.status, 202);
+    const { jobId } = await res.json();
+
+    const [failed, delivered] = await receiver.waitFor(2, 60000);
+    assert.equal(failed.status, 502);
+    assert.equal(delivered.verified, true);
+    assert.equal(delivered.payload.jobId, jobId);
+    assert.equal(delivered.payload.code, "NO_MATCH");
+    assert.ok(delivered.payload.timings.runMs > 0);
+    assert.ok(!JSON.stringify(delivered.payload).includes(MOCK_PASSWORD), "no credentials in the payload");
+
+    const headers = { "x-api-key": ADMIN_KEY };
+    const { job } = await (await fetch(`${api}/jobs/${jobId}`, { headers })).json();
+    assert.equal(job.callback.url, receiver.url);
+    let log;
+    for (let i = 0; i < 50 && log?.deliveries[0]?.state !== "delivered"; i++) {
+      await new Promise((r) => setTimeout(r, 100));
+      log = await (await fetch(`${api}/webhooks/deliveries?jobId=${jobId}`, { headers })).json();
+    }
+    assert.equal(log.deliveries[0].id, job.callback.deliveryId);
+    assert.equal(log.deliveries[0].state, "delivered");
+    assert.deepEqual(log.deliveries[0].attempts.map((a) => a.status), [502, 204]);
+  });
+
+  test("answers a retried request with the same Idempotency-Key with the original job", async () => {
+    const post = (key, body) =>
+      fetch(api + "/run", {
+        method: "POST",
+        headers: { "content-type": "application/json", "x-api-key": ADMIN_KEY, "idempotency-key": key },
+        body: JSON.stringify({ email: MOCK_EMAIL, password: MOCK_PASSWORD, targetDate: isoDay(1), targetTime: "07:00", targetName: "ponte reformer", ...body })
+      });
+    const before = portal.state.edits.length;
+
+    const first = await post("retry-1", { newCapacity: 11, wait: true });
+    const original = await first.json();
+    assert.equal(first.status, 200, JSON.stringify(original));
+    assert.equal(first.headers.get("idempotent-replayed"), null);
+
+    const again = await post("retry-1", { newCapacity: 11, wait: true });
+    assert.equal(again.status, 200);
+    assert.equal(again.headers.get("idempotent-replayed"), "true");
+    assert.equal((await again.json()).jobId, original.jobId);
+    assert.equal(portal.state.edits.length, before + 1, "the retry did not edit the class again");
+
+    const reused = await post("retry-1", { newCapacity: 13 });
+    assert.equal(reused.status, 422);
+    assert.equal((await reused.json()).code, "IDEMPOTENCY_KEY_REUSED");
+  });
+
+  test("streams a run's steps and result as Server-Sent Events and replays them on reconnect", async () => {
+    const headers = { "x-api-key": ADMIN_KEY };
+    const { jobId } = await (
+      await fetch(api + "/run", {
+        method: "POST",
+        headers: { ...headers, "content-type": "application/json" },
+        body: JSON.stringify({
+          email: MOCK_EMAIL,
+          password: MOCK_PASSWORD,
+          targetDate: isoDay(1),
+          targetTime: "09:00",
+          targetName: "Yoga Flow",
+          newCapacity: 5,
+          dryRun: true,
+          debug: true
+        })
+      })
+    ).json();
+
+    // The stream ends by itself after "result"
+    const read = async (extra = {}) => {
+      const res = await fetch(`${api}/runs/${jobId}/events`, { headers: { ...headers, ...extra } });
+      assert.equal(res.headers.get("content-type"), "text/event-stream");
+      return (await res.text())
+        .split("\n\n")
+        .filter((block) => block.startsWith("id: "))
+        .map((block) => {
+          const [id, event, data] = block.split("\n").map((l) => l.slice(l.indexOf(": ") + 2));
+          return { id: Number(id), event, data: JSON.parse(data) };
+        });
+    };
+    const events = await read();
+    const types = events.map((e) => e.event);
+    assert.deepEqual(types.slice(0, 3), ["state", "state", "step.start"]);
+    assert.ok(types.includes("step.end") && types.includes("debug"), types.join(" "));
+    assert.equal(events.at(-1).event, "result");
+    assert.equal(events.at(-1).data.result.proposedCapacity, 5);
+    assert.ok(!JSON.stringify(events).includes(MOCK_PASSWORD), "no credentials in the stream");
+
+    const replay = await read({ "last-event-id": String(events.at(-3).id) });
+    assert.deepEqual(replay.map((e) => e.id), events.slice(-2).map((e) => e.id));
+    assert.equal((await fetch(`${api}/runs/nope/events`, { headers })).status, 404);
+  });
+
+  test("exposes run, step, browser and queue metrics for Prometheus", async () => {
+    assert.equal((await fetch(api + "/metrics")).status, 401);
+    const res = await fetch(api + "/metrics", { headers: { authorization: `Bearer ${ADMIN_KEY}` } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+    const text = await res.text();
+    assert.match(text, /^fitpass_runs_total\{kind="run",outcome="ok",code=""\} \d+$/m);
+    assert.match(text, /^fitpass_runs_total\{kind="run",outcome="failed",code="NO_MATCH"\} \d+$/m);
+    assert.match(text, /^fitpass_login_failures_total\{driver="browser"\} 1$/m);
+    assert.match(text, /^fitpass_step_duration_seconds_count\{step="Select date",outcome="ok"\} \d+$/m);
+    assert.match(text, /^fitpass_browsers_active 0$/m);
+    assert.match(text, /^fitpass_browsers_open 1$/m);
+    assert.match(text, /^fitpass_jobs_queued 0$/m);
+  });
+});
@@ -0,0 +1,69 @@
+// test/errors.test.js — error codes, HTTP statuses and the transient retry policy
+
+import "./quiet-stdout.js";
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+const { FitpassError, backoffMs, errorCode, failure, httpStatus, withRetries } = await import("../errors.js");
+
+describe("error codes", () => {
+  test("keeps thrown codes and classifies uncoded errors by shape", () => {
+    assert.equal(errorCode(new FitpassError("NO_MATCH", "nope")), "NO_MATCH");
+    assert.equal(errorCode(Object.assign(new Error("Navigation timeout of 30000 ms exceeded"), { name: "TimeoutError" })), "TIMEOUT");
+    assert.equal(errorCode(new Error("net::ERR_CONNECTION_REFUSED at https://portal")), "PORTAL_UNAVAILABLE");
+    assert.equal(errorCode(new TypeError("fetch failed", { cause: { code: "ECONNRESET" } })), "PORTAL_UNAVAILABLE");
+    assert.equal(errorCode(new Error("Protocol error (Page.navigate): Target closed")), "BROWSER_CRASHED");
+    assert.equal(errorCode(Object.assign(new Error("no such file"), { code: "ENOENT" })), "INTERNAL");
+  });
+
+  test("maps results to HTTP statuses", () => {
+    assert.equal(httpStatus({ ok: true }), 200);
+    assert.equal(httpStatus(failure(new FitpassError("LOGIN_FAILED", "x"))), 401);
+    assert.equal(httpStatus(failure(new FitpassError("NO_MATCH", "x"))), 404);
+    assert.equal(httpStatus(failure(new FitpassError("BROWSER_LAUNCH_FAILED", "x"))), 503);
+    assert.equal(httpStatus(failure(new Error("boom"))), 500);
+    assert.equal(httpStatus({ ok: false, error: "partial" }), 500);
+  });
+});
+
+describe("withRetries", () => {
+  const fast = { BACKOFF_MS: 1 };
+
+  test("retries transient failures until one succeeds", async () => {
+    const seen = [];
+    const result = await withRetries(async (n) => {
+      seen.push(n);
+      return n < 3 ? failure(new FitpassError("TIMEOUT", "slow")) : { ok: true };
+    }, { ...fast, MAX_ATTEMPTS: 3 });
+    assert.deepEqual(result, { ok: true, attempts: 3 });
+    assert.deepEqual(seen, [1, 2, 3]);
+  });
+
+  test("stops at the first non-transient failure and after MAX_ATTEMPTS", async () => {
+    const final = await withRetries(async () => failure(new FitpassError("NO_MATCH", "nope")), fast);
+    assert.equal(final.code, "NO_MATCH");
+    assert.equal(final.attempts, 1);
+
+    const exhausted = await withRetries(async () => failure(new FitpassError("CALENDAR_NOT_FOUND", "x")), {
+      ...fast,
+      MAX_ATTEMPTS: 2
+    });
+    assert.equal(exhausted.code, "CALENDAR_NOT_FOUND");
+    assert.equal(exhausted.attempts, 2);
+  });
+
+  test("stops when the caller says the attempt may not be repeated", async () => {
+    let saved = false;
+    const result = await withRetries(async () => {
+      saved = true; // e.g. the save was sent before the page timed out
+      return failure(new FitpassError("TIMEOUT", "slow"));
+    }, { ...fast, retryable: () => !saved });
+    assert.equal(result.code, "TIMEOUT");
+    assert.equal(result.attempts, 1);
+  });
+
+  test("backs off exponentially up to the cap", () => {
+    assert.deepEqual([1, 2, 3].map((n) => backoffMs(n, 100)), [100, 200, 400]);
+    assert.equal(backoffMs(30, 100), 30000);
+  });
+});
@@ -0,0 +1,136 @@
+// test/httpdriver.test.js — browserless driver against the mock portal (no Chromium needed)
+
+import "./quiet-stdout.js";
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { MOCK_EMAIL, MOCK_PASSWORD, isoDay, startMockPortal } from "./mock-portal.js";
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), "fitpass-http-"));
+const portal = await startMockPortal();
+process.env.DATA_DIR = dataDir;
+process.env.FITPASS_BASE_URL = portal.url;
+const { runFitpass } = await import("../fitpass.js");
+const { runHttpCapacity } = await import("../httpdriver.js");
+const { getProfile } = await import("../profiles.js");
+const { forgetSession } = await import("../pool.js");
+
+const creds = { email: MOCK_EMAIL, password: MOCK_PASSWORD };
+const run = (target) => runFitpass({ ...creds, DRIVER: "http", ...target });
+
+describe("HTTP driver", () => {
+  after(async () => {
+    await portal.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test("changes only this class of a series and verifies it", async () => {
+    const result = await run({ TARGET_DATE: isoDay(1), TARGET_TIME: "07:00", TARGET_NAME: "Ponte Reformer", NEW_CAPACITY: 12 });
+    assert.equal(result.ok, true, result.error);
+    assert.equal(result.driver, "http");
+    assert.equal(result.verified, true);
+    assert.equal(result.previousCapacity, 10);
+    assert.equal(result.match.id, "101");
+    assert.ok(result.changeId);
+    assert.ok(result.messages.includes("Clase actualizada correctamente"));
+    assert.deepEqual(portal.state.edits, [{ id: 101, from: 10, to: 12, scope: "single" }]);
+    assert.equal(portal.classById(103).capacity, 10);
+  });
+
+  test("reuses the session and logs in again once it expires", async () => {
+    const logins = portal.state.logins;
+    const dry = await run({ TARGET_DATE: isoDay(1), TARGET_TIME: "09:00", NEW_CAPACITY: 20, DRY_RUN: true });
+    assert.equal(dry.ok, true, dry.error);
+    assert.equal(dry.currentCapacity, 15);
+    assert.equal(portal.state.logins, logins);
+
+    portal.expireSessions();
+    const again = await run({ TARGET_DATE: isoDay(1), TARGET_TIME: "09:00", NEW_CAPACITY: 20, DRY_RUN: true });
+    assert.equal(again.ok, true, again.error);
+    assert.equal(portal.state.logins, logins + 1);
+  });
+
+  test("reports ambiguous matches and portal validation errors without falling back", async () => {
+    const ambiguous = await run({ TARGET_DATE: isoDay(2), TARGET_TIME: "07:00", TARGET_NAME: "Ponte Reformer", NEW_CAPACITY: 9 });
+    assert.equal(ambiguous.code, "AMBIGUOUS_MATCH");
+    assert.equal(ambiguous.driver, "http");
+    assert.equal(ambiguous.candidates.length, 2);
+
+    const invalid = await run({ TARGET_DATE: isoDay(1), TARGET_TIME: "18:00", NEW_CAPACITY: 500 });
+    assert.equal(invalid.code, "SAVE_REJECTED");
+    assert.equal(invalid.attempts, 1);
+    assert.match(invalid.error, /Cupo inválido/);
+    assert.equal(portal.classById(104).capacity, 6);
+  });
+
+  test("fails like the browser driver when the save isn't confirmed", async () => {
+    portal.skipPromptNext();
+    const edits = portal.state.edits.length;
+    const result = await run({ TARGET_DATE: isoDay(1), TARGET_TIME: "18:00", NEW_CAPACITY: 8 });
+    assert.equal(result.ok, false);
+    assert.equal(result.code, "SAVE_NOT_CONFIRMED");
+    assert.equal(result.attempts, 1, "a sent save is never retried");
+    assert.match(result.error, /Could not find the "editar solo esta clase" button/);
+    assert.equal(portal.state.edits.length, edits);
+    assert.equal(portal.classById(104).capacity, 6);
+  });
+
+  test("picks the requested recurrence scope by its label", async () => {
+    const all = await run({ TARGET_DATE: isoDay(8), TARGET_TIME: "07:00", NEW_CAPACITY: 16, SCOPE: "all" });
+    assert.equal(all.ok, true, all.error);
+    assert.equal(all.scope, "all");
+    assert.deepEqual([portal.classById(101).capacity, portal.classById(103).capacity], [16, 16]);
+
+    const single = await run({ TARGET_DATE: isoDay(1), TARGET_TIME: "09:00", NEW_CAPACITY: 3, SCOPE: "following" });
+    assert.equal(single.code, "SCOPE_NOT_OFFERED");
+    assert.deepEqual(single.offered, ["Editar solo esta clase"]);
+    assert.equal(portal.classById(102).capacity, 15);
+  });
+
+  test("retries a portal outage and reports the attempts; wrong credentials are not retried", async () => {
+    portal.failNext(1);
+    const result = await run({ TARGET_DATE: isoDay(1), TARGET_TIME: "18:00", NEW_CAPACITY: 7, RETRY: { BACKOFF_MS: 1 } });
+    assert.equal(result.ok, true, result.error);
+    assert.equal(result.attempts, 2);
+    assert.equal(portal.classById(104).capacity, 7);
+
+    const logins = portal.state.logins;
+    const denied = await runFitpass({
+      email: "nobody@example.com",
+      password: "wrong",
+      DRIVER: "http",
+      TARGET_DATE: isoDay(1),
+      TARGET_TIME: "18:00",
+      NEW_CAPACITY: 8,
+      RETRY: { BACKOFF_MS: 1 }
+    });
+    assert.equal(denied.code, "LOGIN_FAILED");
+    assert.equal(denied.attempts, 1);
+    assert.equal(portal.state.logins, logins);
+  });
+
+  test("signals HTTP_UNSUPPORTED when the portal has no JSON event feed", async () => {
+    const bare = await startMockPortal({ feed: false });
+    forgetSession(MOCK_EMAIL);
+    try {
+      await assert.rejects(
+        runHttpCapacity({
+          ...creds,
+          baseUrl: bare.url,
+          profile: await getProfile(),
+          step: (_label, fn) => fn(),
+          TARGET_DATE: isoDay(1),
+          TARGET_TIME: "07:00",
+          NEW_CAPACITY: 12
+        }),
+        { code: "HTTP_UNSUPPORTED" }
+      );
+      assert.equal(bare.state.edits.length, 0);
+    } finally {
+      forgetSession(MOCK_EMAIL);
+      await bare.close();
+    }
+  });
+});
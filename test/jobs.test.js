@@ -0,0 +1,126 @@
+// test/jobs.test.js — queue lanes (per account / per class), Idempotency-Key reservations and run events
+
+import "./quiet-stdout.js";
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+Object.assign(process.env, { MAX_CONCURRENT_JOBS: "2", ACCOUNT_CONCURRENCY: "1" });
+const { enqueueJob, getJob, releaseIdempotencyKey, reserveIdempotencyKey, subscribeJobEvents, waitForJob } =
+  await import("../jobs.js");
+const { debugLogger, emitRunEvent, registerSecret } = await import("../log.js");
+
+// A run that stays in progress until finish() is called.
+function controlled() {
+  let finish;
+  const done = new Promise((resolve) => (finish = () => resolve({ ok: true })));
+  return { run: () => done, finish };
+}
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+describe("job queue", () => {
+  test("runs one job per account at a time while other accounts use the free slots", async () => {
+    const a1 = controlled();
+    const a2 = controlled();
+    const b1 = controlled();
+    const c1 = controlled();
+    const jobA1 = enqueueJob("run", a1.run, { input: { account: "polanco", targetDate: "2030-01-07", targetTime: "07:00" } });
+    const jobA2 = enqueueJob("run", a2.run, { input: { account: "polanco", targetDate: "2030-01-08", targetTime: "07:00" } });
+    const jobB1 = enqueueJob("run", b1.run, { input: { email: "Coach@Example.com", targetDate: "2030-01-07" } });
+    const jobC1 = enqueueJob("run", c1.run, { input: { account: "condesa" } });
+    await tick();
+
+    assert.equal(jobA1.state, "running");
+    assert.equal(jobA2.state, "queued", "same account waits");
+    assert.equal(jobB1.state, "running", "another account takes the second slot");
+    assert.equal(jobC1.state, "queued", "global limit of 2");
+
+    a1.finish();
+    await waitForJob(jobA1, 1000);
+    await tick();
+    assert.equal(jobA2.state, "running", "the account's next job goes first");
+    assert.equal(jobC1.state, "queued");
+
+    b1.finish();
+    await waitForJob(jobB1, 1000);
+    await tick();
+    assert.equal(jobC1.state, "running");
+
+    a2.finish();
+    c1.finish();
+    assert.equal(await waitForJob(jobA2, 1000), true);
+    assert.equal(await waitForJob(jobC1, 1000), true);
+  });
+
+  test("an alias and inline credentials for the same portal user share one lane", async () => {
+    const viaAlias = controlled();
+    const inline = controlled();
+    const jobAlias = enqueueJob("run", viaAlias.run, {
+      input: { account: "polanco", targetDate: "2030-01-07", targetTime: "7:00" },
+      portalUser: "coach@example.com"
+    });
+    const jobInline = enqueueJob("run", inline.run, {
+      input: { email: "Coach@Example.com", targetDate: "2030-01-07", targetTime: "07:00 am" },
+      portalUser: "Coach@Example.com"
+    });
+    await tick();
+    assert.equal(jobAlias.state, "running");
+    assert.equal(jobInline.state, "queued");
+
+    viaAlias.finish();
+    await waitForJob(jobAlias, 1000);
+    await tick();
+    assert.equal(jobInline.state, "running");
+    inline.finish();
+    assert.equal(await waitForJob(jobInline, 1000), true);
+  });
+
+  test("idempotency keys replay the original job and reject a different body", async () => {
+    assert.deepEqual(reserveIdempotencyKey("k1", "body-a"), { reserved: true });
+    assert.deepEqual(reserveIdempotencyKey("k1", "body-a"), { conflict: "in-use" });
+    const job = enqueueJob("run", async () => ({ ok: true }), {
+      input: { account: "roma" },
+      idempotency: { key: "k1", fingerprint: "body-a" }
+    });
+    releaseIdempotencyKey("k1"); // no-op once the job exists
+
+    assert.equal(reserveIdempotencyKey("k1", "body-a").job, getJob(job.id));
+    assert.deepEqual(reserveIdempotencyKey("k1", "body-b"), { conflict: "reused" });
+
+    reserveIdempotencyKey("k2", "body-a");
+    releaseIdempotencyKey("k2"); // the request was rejected before a job was created
+    assert.deepEqual(reserveIdempotencyKey("k2", "body-b"), { reserved: true });
+    await waitForJob(job, 1000);
+  });
+
+  test("records a run's events in order and replays them after a Last-Event-ID", async () => {
+    registerSecret("s3cret-pass");
+    const job = enqueueJob(
+      "run",
+      async ({ onStep }) => {
+        onStep({ phase: "start", label: "Open login" });
+        debugLogger(true)("typing", "s3cret-pass");
+        emitRunEvent("console", { type: "log", text: "hello" });
+        onStep({ phase: "end", label: "Open login", ms: 5 });
+        return { ok: true, message: "done" };
+      },
+      { input: { account: "juarez" } }
+    );
+    const live = [];
+    subscribeJobEvents(job, 0, (e) => live.push(e));
+    await waitForJob(job, 1000);
+
+    assert.deepEqual(
+      live.map((e) => e.type),
+      ["state", "state", "step.start", "debug", "console", "step.end", "result"]
+    );
+    assert.deepEqual(live.map((e) => e.id), [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(live[3].data.msg, "typing [REDACTED]");
+    assert.deepEqual(live[5].data, { label: "Open login", ms: 5 });
+    assert.deepEqual(live[6].data, { state: "succeeded", result: { ok: true, message: "done" } });
+
+    const replayed = [];
+    subscribeJobEvents(job, 5, (e) => replayed.push(e));
+    assert.deepEqual(replayed.map((e) => e.type), ["step.end", "result"]);
+  });
+});
@@ -0,0 +1,32 @@
+// test/matching.test.js — picking the target event: by portal id / href, and by time and name score
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+const { pickEvent } = await import("../matching.js");
+
+const TARGET_DATE = "2030-01-07";
+const events = [
+  { id: "123", href: "https://portal.example/schedules/123?tab=1", preview: "18:00 - 19:00 Barre" },
+  { id: "12", href: "/schedules/12", preview: "07:00 - 08:00 Reformer" }
+];
+const pick = (opts) => pickEvent(events, { TARGET_DATE, ...opts });
+
+describe("pickEvent", () => {
+  test("matches an event id or href exactly, never as a substring", () => {
+    assert.equal(pick({ EVENT_ID: "12" }).id, "12");
+    assert.equal(pick({ EVENT_ID: "123" }).id, "123");
+    assert.equal(pick({ EVENT_ID: "/schedules/12" }).id, "12");
+    assert.equal(pick({ EVENT_ID: "/schedules/123" }).id, "123");
+    const withoutIds = events.map(({ href, preview }) => ({ id: null, href, preview }));
+    assert.equal(pickEvent(withoutIds, { TARGET_DATE, EVENT_ID: "12" }).href, "/schedules/12");
+    assert.throws(() => pick({ EVENT_ID: "1" }), { code: "NO_MATCH" });
+    assert.throws(() => pick({ EVENT_ID: "/schedules/1" }), { code: "NO_MATCH" });
+    assert.throws(() => pick({ EVENT_ID: "23" }), { code: "NO_MATCH" });
+  });
+
+  test("scores by start time and name when no event id is given", () => {
+    assert.equal(pick({ TARGET_TIME: "18:00" }).id, "123");
+    assert.equal(pick({ TARGET_TIME: "7:00 am", TARGET_NAME: "reformer" }).id, "12");
+  });
+});
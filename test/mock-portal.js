@@ -0,0 +1,374 @@
+// test/mock-portal.js — local stand-in for admin2.fitpass.com (login, calendar, modal, edit form)
+//
+// Reproduces the markup the runner relies on: #login_user_email / #new_login_user,
+// FullCalendar-like .fc-event nodes inside [data-date] cells, #schedule_modal_container
+// with the "EDITAR CLASE" btn-primary, the schedule_form_<id> edit form with
+// #schedule_lesson_availability, and the "editar solo esta clase" recurrence prompt.
+// The edit form also carries instructor/room selects, start time, duration, the Fitpass quota
+// and an "active" checkbox (Rails hidden + checkbox pair), applied on confirm like the capacity.
+// GET /schedules.json is the JSON event feed FullCalendar would load (used by httpdriver.js).
+//
+// Standalone: `npm run mock-portal` (PORT, default 4000) → log in with coach@example.com / secret.
+
+import express from "express";
+import { randomUUID } from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+export const MOCK_EMAIL = "coach@example.com";
+export const MOCK_PASSWORD = "secret";
+
+// ---------- Date helpers (UTC, YYYY-MM-DD) ----------
+export const isoDay = (offset = 0, from = new Date()) => {
+  const d = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() + offset);
+  return d.toISOString().slice(0, 10);
+};
+const addDays = (iso, n) => isoDay(n, new Date(iso + "T00:00:00Z"));
+const mondayOf = (iso) => {
+  const dow = new Date(iso + "T00:00:00Z").getUTCDay(); // 0 = Sunday
+  return addDays(iso, -((dow + 6) % 7));
+};
+const toMins = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+const fromMins = (mins) => `${String(Math.floor(mins / 60) % 24).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+const fmt12 = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return `${String(((h + 11) % 12) + 1).padStart(2, "0")}:${String(m).padStart(2, "0")} ${h < 12 ? "am" : "pm"}`;
+};
+
+// ---------- Fixtures ----------
+export const INSTRUCTORS = [
+  { id: 1, name: "Ana López" },
+  { id: 2, name: "Luis Pérez" },
+  { id: 3, name: "María Gómez" }
+];
+export const ROOMS = ["Sala A", "Sala B", "Sala C"];
+
+// Relative to today so the calendar only needs a click or two to reach them.
+export function defaultClasses() {
+  const d1 = isoDay(1);
+  const d2 = isoDay(2);
+  return [
+    { id: 101, date: d1, start: "07:00", end: "07:50", name: "Ponte Reformer", room: "Sala A", capacity: 10, seriesId: "s1" },
+    { id: 102, date: d1, start: "09:00", end: "10:00", name: "Yoga Flow", room: "Sala B", capacity: 15, seriesId: null },
+    { id: 103, date: addDays(d1, 7), start: "07:00", end: "07:50", name: "Ponte Reformer", room: "Sala A", capacity: 10, seriesId: "s1" },
+    { id: 104, date: d1, start: "18:00", end: "18:50", name: "Pilates Básico", room: "Sala A", capacity: 6, seriesId: null },
+    { id: 201, date: d2, start: "07:00", end: "07:50", name: "Ponte Reformer", room: "Sala A", capacity: 8, seriesId: null },
+    { id: 202, date: d2, start: "07:00", end: "07:50", name: "Ponte Reformer", room: "Sala B", capacity: 8, seriesId: null }
+  ].map((c) => ({ instructorId: 1, fitpassQuota: 4, active: true, ...c }));
+}
+
+// ---------- Markup ----------
+const esc = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const layout = (title, body, { csrf = "", flash = "" } = {}) => `<!doctype html>
+<html lang="es"><head><meta charset="utf-8"><title>${esc(title)} · Fitpass</title>
+<meta name="csrf-token" content="${esc(csrf)}">
+<style>
+  body { font-family: sans-serif; margin: 0; display: flex; }
+  #sidebar { width: 180px; padding: 1rem; background: #f4f4f4; min-height: 100vh; }
+  main { flex: 1; padding: 1rem; }
+  .fc table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+  .fc td, .fc th { border: 1px solid #ddd; vertical-align: top; }
+  .fc td { height: 420px; }
+  .fc-event { display: block; margin: 2px; padding: 2px; background: #dbeafe; font-size: 12px; color: #000; }
+  .modal { position: fixed; top: 10%; left: 30%; width: 40%; background: #fff; border: 1px solid #999; padding: 1rem; }
+</style></head>
+<body>
+  <nav id="sidebar"><a href="/">Inicio</a><br><a href="/calendar">Calendario</a></nav>
+  <main>${flash ? `<div class="alert alert-success">${esc(flash)}</div>` : ""}${body}</main>
+</body></html>`;
+
+function loginPage(error = "") {
+  return layout(
+    "Iniciar sesión",
+    `${error ? `<div class="alert alert-danger">${esc(error)}</div>` : ""}
+    <form id="new_login_user" action="/sessions" method="post">
+      <input type="email" id="login_user_email" name="login_user[email]" placeholder="Email">
+      <input type="password" id="login_user_password" name="login_user[password]" placeholder="Contraseña">
+      <button type="submit">Entrar</button>
+    </form>`
+  );
+}
+
+function calendarPage(classes, start, session) {
+  const monday = mondayOf(start);
+  const days = Array.from({ length: 7 }, (_, i) => addDays(monday, i));
+  const head = days.map((d) => `<th class="fc-col-header-cell" data-date="${d}"><a data-navlink="${d}">${d}</a></th>`).join("");
+  const cells = days
+    .map((d) => {
+      const evs = classes
+        .filter((c) => c.date === d)
+        .sort((a, b) => a.start.localeCompare(b.start))
+        .map(
+          (c) => `<a class="fc-event fc-timegrid-event" href="/schedules/${c.id}" data-id="${c.id}"
+              data-date="${c.date}" data-start="${fmt12(c.start)}" data-end="${fmt12(c.end)}"
+              data-name="${esc(c.name)}" data-room="${esc(c.room)}"
+              ><div class="fc-event-time">${fmt12(c.start)} - ${fmt12(c.end)}</div><div class="fc-event-title">${esc(c.name)}</div></a>`
+        )
+        .join("");
+      return `<td class="fc-timegrid-col fc-day" data-date="${d}">${evs}</td>`;
+    })
+    .join("");
+
+  return layout(
+    "Calendario",
+    `<div id="calendar" class="fc fc-timegrid">
+      <div class="fc-toolbar">
+        <button type="button" class="fc-prev-button" title="Prev" onclick="location.href='/calendar?start=${addDays(monday, -7)}'">‹</button>
+        <span class="fc-toolbar-title">${monday} – ${days[6]}</span>
+        <button type="button" class="fc-next-button" title="Next" onclick="location.href='/calendar?start=${addDays(monday, 7)}'">›</button>
+      </div>
+      <div class="fc-view fc-timegrid-view"><table><thead><tr>${head}</tr></thead><tbody><tr>${cells}</tr></tbody></table></div>
+    </div>
+    <div id="schedule_modal_container" class="modal" style="display:none">
+      <button type="button" class="close" data-bs-dismiss="modal">×</button>
+      <div class="modal-body"></div>
+      <a class="btn btn-primary" href="#">Editar clase</a>
+      <button type="button" class="btn btn-danger">Cancelar clase</button>
+    </div>
+    <script>
+      const modal = document.getElementById("schedule_modal_container");
+      document.querySelectorAll(".fc-event").forEach((a) =>
+        a.addEventListener("click", (e) => {
+          e.preventDefault();
+          modal.querySelector(".modal-body").innerText =
+            a.dataset.name + "\\n" + a.dataset.room +
+            "\\nHora de la clase: " + a.dataset.start + " - " + a.dataset.end +
+            "\\nFecha: " + a.dataset.date;
+          modal.querySelector(".btn-primary").setAttribute("href", "/schedules/" + a.dataset.id + "/edit");
+          modal.style.display = "block";
+        })
+      );
+      modal.querySelector(".close").addEventListener("click", () => (modal.style.display = "none"));
+      document.addEventListener("keydown", (e) => e.key === "Escape" && (modal.style.display = "none"));
+    </script>`,
+    { csrf: session.csrf, flash: takeFlash(session) }
+  );
+}
+
+function editPage(c, session, { value = c.capacity, error = "" } = {}) {
+  const option = (v, label, selected) => `<option value="${esc(v)}"${selected ? " selected" : ""}>${esc(label)}</option>`;
+  return layout(
+    "Editar clase",
+    `<form id="schedule_form_${c.id}" class="edit_schedule" action="/schedules/${c.id}" method="post">
+      <input type="hidden" name="authenticity_token" value="${esc(session.csrf)}">
+      <h2>Editar clase</h2>
+      <p>${esc(c.name)} · ${esc(c.room)}</p>
+      <p>Fecha de inicio: ${c.date}</p>
+      <p>Hora de la clase: ${fmt12(c.start)} - ${fmt12(c.end)}</p>
+      <label for="schedule_instructor_id">Instructor</label>
+      <select id="schedule_instructor_id" name="schedule[instructor_id]">
+        ${INSTRUCTORS.map((i) => option(i.id, i.name, i.id === c.instructorId)).join("")}
+      </select>
+      <label for="schedule_room_id">Sala</label>
+      <select id="schedule_room_id" name="schedule[room_id]">${ROOMS.map((r) => option(r, r, r === c.room)).join("")}</select>
+      <label for="schedule_start_time">Inicio</label>
+      <input type="time" id="schedule_start_time" name="schedule[start_time]" value="${c.start}">
+      <label for="schedule_duration">Duración (min)</label>
+      <input type="number" id="schedule_duration" name="schedule[duration]" value="${toMins(c.end) - toMins(c.start)}">
+      <label for="schedule_fitpass_availability">Lugares Fitpass</label>
+      <input type="number" id="schedule_fitpass_availability" name="schedule[fitpass_availability]" value="${c.fitpassQuota}">
+      <input type="hidden" name="schedule[active]" value="0">
+      <label><input type="checkbox" id="schedule_active" name="schedule[active]" value="1"${c.active ? " checked" : ""}> Activa</label>
+      <div class="${error ? "field_with_errors" : ""}">
+        <label for="schedule_lesson_availability">Cupo</label>
+        <input type="number" id="schedule_lesson_availability" name="schedule[lesson_availability]" value="${esc(value)}">
+        ${error ? `<div class="invalid-feedback" style="display:block">${esc(error)}</div>` : ""}
+      </div>
+      <footer><div><button type="submit" class="btn btn-primary">Guardar</button></div></footer>
+    </form>`,
+    { csrf: session.csrf }
+  );
+}
+
+// Carries every submitted schedule[...] value (fields: [[name, value]]) on to the confirm step.
+function recurrencePage(c, session, fields) {
+  const series = c.seriesId
+    ? `<button type="submit" name="scope" value="following" class="btn btn-light">Editar esta y las siguientes clases</button>
+       <button type="submit" name="scope" value="all" class="btn btn-light">Editar todas las clases</button>`
+    : "";
+  return layout(
+    "Confirmar",
+    `<div class="modal show" id="recurrence_modal" style="display:block">
+      <p>¿Qué clases quieres editar?</p>
+      <form action="/schedules/${c.id}/confirm" method="post">
+        <input type="hidden" name="authenticity_token" value="${esc(session.csrf)}">
+        ${fields.map(([n, v]) => `<input type="hidden" name="${esc(n)}" value="${esc(v)}">`).join("")}
+        <div class="text-start">
+          <button type="submit" name="scope" value="single" class="btn btn-light">Editar solo esta clase</button>
+          ${series}
+        </div>
+      </form>
+    </div>`,
+    { csrf: session.csrf }
+  );
+}
+
+const last = (v) => (Array.isArray(v) ? v.at(-1) : v);
+
+// Non-capacity schedule fields from a submitted form; returns { field: { from, to } } for what changed.
+function applyFields(c, body) {
+  const changes = {};
+  const set = (field, key, to) => {
+    if (to === undefined || c[key] === to) return;
+    changes[field] = { from: c[key], to };
+    c[key] = to;
+  };
+  const get = (name) => last(body[`schedule[${name}]`]);
+  const duration = toMins(c.end) - toMins(c.start);
+  if (get("instructor_id") !== undefined) set("instructor", "instructorId", Number(get("instructor_id")));
+  set("room", "room", get("room_id"));
+  set("start", "start", get("start_time"));
+  const minutes = get("duration") !== undefined ? Number(get("duration")) : duration;
+  set("end", "end", fromMins(toMins(c.start) + minutes));
+  if (get("fitpass_availability") !== undefined) set("fitpassQuota", "fitpassQuota", Number(get("fitpass_availability")));
+  if (get("active") !== undefined) set("active", "active", get("active") === "1");
+  return changes;
+}
+
+// First validation error of a submitted edit form, if any.
+function invalidField(body) {
+  const get = (name) => last(body[`schedule[${name}]`]);
+  const int = (v, min, max) => v !== "" && Number.isInteger(Number(v)) && Number(v) >= min && Number(v) <= max;
+  if (!int(get("lesson_availability"), 0, 100)) return "Cupo inválido";
+  if (get("duration") !== undefined && !int(get("duration"), 5, 300)) return "Duración inválida";
+  if (get("start_time") !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(get("start_time"))) return "Hora inválida";
+  if (get("instructor_id") !== undefined && !INSTRUCTORS.some((i) => String(i.id) === get("instructor_id"))) return "Instructor inválido";
+  if (get("room_id") !== undefined && !ROOMS.includes(get("room_id"))) return "Sala inválida";
+  if (get("fitpass_availability") !== undefined && !int(get("fitpass_availability"), 0, 100)) return "Lugares Fitpass inválidos";
+  return "";
+}
+
+function takeFlash(session) {
+  const f = session.flash;
+  session.flash = "";
+  return f;
+}
+
+// FullCalendar event object (what the calendar's JSON feed returns).
+const feedEvent = (c) => ({
+  id: String(c.id),
+  title: c.name,
+  start: `${c.date}T${c.start}:00`,
+  end: `${c.date}T${c.end}:00`,
+  url: `/schedules/${c.id}`,
+  extendedProps: { room: c.room, capacity: c.capacity }
+});
+
+// ---------- Server ----------
+// feed: false → no JSON event feed (a portal the HTTP driver can't use).
+export async function startMockPortal({ port = 0, classes = defaultClasses(), feed = true } = {}) {
+  const sessions = new Map(); // token → { email, csrf, flash }
+  const state = { classes, logins: 0, edits: [], patches: [], outage: 0, silentSaves: 0 };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  // failNext(n): the next n requests get a 503, like a portal deploy or a flaky proxy
+  app.use((req, res, next) => {
+    if (state.outage <= 0) return next();
+    state.outage--;
+    res.status(503).send("Service Unavailable");
+  });
+
+  const sessionOf = (req) => {
+    const token = /(?:^|;\s*)fp_session=([^;]+)/.exec(req.headers.cookie || "")?.[1];
+    return token ? sessions.get(token) : null;
+  };
+  const auth = (req, res, next) => {
+    const session = sessionOf(req);
+    if (!session) return res.redirect("/sessions/new");
+    req.session = session;
+    next();
+  };
+  const csrf = (req, res, next) =>
+    req.body.authenticity_token === req.session.csrf ? next() : res.status(422).send("Invalid authenticity token");
+  const findClass = (req, res, next) => {
+    req.klass = state.classes.find((c) => String(c.id) === req.params.id);
+    return req.klass ? next() : res.status(404).send("Not found");
+  };
+
+  app.get("/sessions/new", (_req, res) => res.send(loginPage()));
+  app.post("/sessions", (req, res) => {
+    const email = req.body["login_user[email]"];
+    const password = req.body["login_user[password]"];
+    if (email !== MOCK_EMAIL || password !== MOCK_PASSWORD) {
+      return res.status(422).send(loginPage("Correo o contraseña incorrectos"));
+    }
+    const token = randomUUID();
+    sessions.set(token, { email, csrf: randomUUID(), flash: "" });
+    state.logins++;
+    res.setHeader("Set-Cookie", `fp_session=${token}; Path=/; HttpOnly`);
+    res.redirect("/");
+  });
+
+  app.get("/", auth, (req, res) => res.send(layout("Inicio", "<h1>Bienvenido</h1>", { csrf: req.session.csrf })));
+  app.get("/calendar", auth, (req, res) => {
+    const start = /^\d{4}-\d{2}-\d{2}$/.test(req.query.start || "") ? req.query.start : isoDay(0);
+    res.send(calendarPage(state.classes, start, req.session));
+  });
+  app.get("/schedules.json", auth, (req, res) => {
+    if (!feed) return res.status(404).send("Not found");
+    const { start = "", end = "9999-12-31" } = req.query;
+    res.json(state.classes.filter((c) => c.date >= start && c.date < end).map(feedEvent));
+  });
+  app.get("/schedules/:id/edit", auth, findClass, (req, res) => res.send(editPage(req.klass, req.session)));
+
+  app.post("/schedules/:id", auth, csrf, findClass, (req, res) => {
+    const error = invalidField(req.body);
+    if (error) {
+      const value = last(req.body["schedule[lesson_availability]"]);
+      return res.status(422).send(editPage(req.klass, req.session, { value, error }));
+    }
+    // skipPromptNext(n): the next n saves go back to the calendar without a prompt or a change
+    if (state.silentSaves > 0) {
+      state.silentSaves--;
+      return res.redirect(`/calendar?start=${req.klass.date}`);
+    }
+    const fields = Object.entries(req.body)
+      .filter(([n]) => n.startsWith("schedule["))
+      .flatMap(([n, v]) => (Array.isArray(v) ? v : [v]).map((x) => [n, x]));
+    res.send(recurrencePage(req.klass, req.session, fields));
+  });
+
+  app.post("/schedules/:id/confirm", auth, csrf, findClass, (req, res) => {
+    const c = req.klass;
+    const value = Number(last(req.body["schedule[lesson_availability]"]));
+    const scope = req.body.scope || "single";
+    const targets =
+      scope === "single" || !c.seriesId
+        ? [c]
+        : state.classes.filter((o) => o.seriesId === c.seriesId && (scope === "all" || o.date >= c.date));
+    for (const t of targets) {
+      state.edits.push({ id: t.id, from: t.capacity, to: value, scope });
+      t.capacity = value;
+      const changes = applyFields(t, req.body);
+      if (Object.keys(changes).length) state.patches.push({ id: t.id, changes, scope });
+    }
+    req.session.flash = "Clase actualizada correctamente";
+    res.redirect(`/calendar?start=${c.date}`);
+  });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(port, "127.0.0.1", () => resolve(s));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    state,
+    classById: (id) => state.classes.find((c) => c.id === id),
+    expireSessions: () => sessions.clear(),
+    failNext: (n = 1) => (state.outage = n),
+    skipPromptNext: (n = 1) => (state.silentSaves = n),
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// ---------- Standalone ----------
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const portal = await startMockPortal({ port: Number(process.env.PORT || 4000) });
+  console.log(`🧪 Mock Fitpass portal on ${portal.url} (${MOCK_EMAIL} / ${MOCK_PASSWORD})`);
+}
@@ -0,0 +1,91 @@
+// test/observability.test.js — Prometheus exposition and JSON-lines logging with run context
+
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+const { counter, gauge, histogram, renderMetrics } = await import("../metrics.js");
+const { configureLogs, log, logError, registerSecret, setLogContext, withLogContext, withSecrets } = await import("../log.js");
+
+describe("metrics", () => {
+  test("renders counters, gauges and cumulative histogram buckets", () => {
+    const runs = counter("test_runs_total", "Runs.");
+    runs.inc({ kind: "run", outcome: "ok" });
+    runs.inc({ outcome: "ok", kind: "run" });
+    runs.inc({ kind: "run", outcome: "failed", code: 'say "hi"' });
+    let depth = 3;
+    gauge("test_queue_depth", "Queue.", () => depth);
+    const steps = histogram("test_step_seconds", "Steps.", [1, 5]);
+    steps.observe({ step: "Open login" }, 0.5);
+    steps.observe({ step: "Open login" }, 3);
+    depth = 4;
+
+    const text = renderMetrics();
+    assert.match(text, /# TYPE test_runs_total counter\n/);
+    assert.match(text, /^test_runs_total\{kind="run",outcome="ok"\} 2$/m);
+    assert.match(text, /^test_runs_total\{kind="run",outcome="failed",code="say \\"hi\\""\} 1$/m);
+    assert.match(text, /^test_queue_depth 4$/m);
+    assert.match(text, /^test_step_seconds_bucket\{step="Open login",le="1"\} 1$/m);
+    assert.match(text, /^test_step_seconds_bucket\{step="Open login",le="5"\} 2$/m);
+    assert.match(text, /^test_step_seconds_bucket\{step="Open login",le="\+Inf"\} 2$/m);
+    assert.match(text, /^test_step_seconds_sum\{step="Open login"\} 3.5$/m);
+    assert.throws(() => counter("test_runs_total", "Again."), /already registered/);
+  });
+});
+
+describe("JSON logs", () => {
+  const lines = [];
+  const original = { log: console.log, error: console.error };
+  const capture = () => {
+    lines.length = 0;
+    console.log = console.error = (line) => lines.push(JSON.parse(line));
+  };
+  afterEach(() => {
+    Object.assign(console, original);
+    configureLogs({ level: "info" });
+  });
+
+  test("carries the run context and the current step, with secrets redacted", async () => {
+    registerSecret("hunter22");
+    capture();
+    await withLogContext({ runId: "job-1", account: "studio" }, async () => {
+      setLogContext({ step: "Open login" });
+      log("[REQ] POST /run", { body: { password: "hunter22", note: "pw hunter22" } });
+      logError("❌ failed", new Error("bad hunter22"));
+    });
+    log("outside");
+
+    assert.equal(lines[0].level, "info");
+    assert.equal(lines[0].msg, "[REQ] POST /run");
+    assert.equal(lines[0].runId, "job-1");
+    assert.equal(lines[0].account, "studio");
+    assert.equal(lines[0].step, "Open login");
+    assert.deepEqual(lines[0].body, { password: "[REDACTED]", note: "pw [REDACTED]" });
+    assert.equal(lines[1].level, "error");
+    assert.equal(lines[1].err.message, "bad [REDACTED]");
+    assert.equal(lines[2].runId, undefined);
+  });
+
+  test("forgets secrets registered in a scope once it ends", async () => {
+    capture();
+    await withSecrets(async () => {
+      registerSecret("inline-pass-1");
+      await new Promise((r) => setImmediate(r));
+      log("typing inline-pass-1");
+    });
+    await withSecrets(async () => log("other run inline-pass-1"));
+    log("later inline-pass-1");
+    assert.deepEqual(lines.map((l) => l.msg), [
+      "typing [REDACTED]",
+      "other run inline-pass-1",
+      "later inline-pass-1"
+    ]);
+  });
+
+  test("drops lines below LOG_LEVEL", () => {
+    configureLogs({ level: "error" });
+    capture();
+    log("quiet");
+    logError("loud");
+    assert.deepEqual(lines.map((l) => l.msg), ["loud"]);
+  });
+});
@@ -0,0 +1,56 @@
+// test/profiles.test.js — selector profile inheritance, account overrides and hot reload
+
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dir = mkdtempSync(path.join(os.tmpdir(), "fitpass-profiles-"));
+process.env.PROFILES_DIR = dir;
+const { getProfile, listProfiles, reloadProfiles } = await import("../profiles.js");
+
+const write = (file, json) => {
+  mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  writeFileSync(path.join(dir, file), typeof json === "string" ? json : JSON.stringify(json));
+};
+
+describe("selector profiles", () => {
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test("loads the built-in default", async () => {
+    const p = await getProfile();
+    assert.equal(p.name, "default");
+    assert.equal(p.selectors.capacityInput, "#schedule_lesson_availability");
+    assert.equal(p.texts.confirmSingle, "editar solo esta clase");
+  });
+
+  test("applies profiles that extend another and per-account overrides after a reload", async () => {
+    write("portal-v2.json", { name: "portal-v2", version: 2, extends: "default", selectors: { capacityInput: "#capacity" } });
+    write("accounts/studio.json", { extends: "portal-v2", version: 1, texts: { confirmSingle: "edit only this class" } });
+    await reloadProfiles();
+
+    const studio = await getProfile("studio");
+    assert.equal(studio.name, "portal-v2+studio");
+    assert.equal(studio.version, 2);
+    assert.equal(studio.selectors.capacityInput, "#capacity");
+    assert.equal(studio.texts.confirmSingle, "edit only this class");
+    assert.equal(studio.selectors.loginEmail, "#login_user_email");
+
+    assert.equal((await getProfile("other")).name, "default");
+    const { profiles, accounts } = await listProfiles();
+    assert.deepEqual(profiles.map((p) => p.name).sort(), ["default", "portal-v2"]);
+    assert.deepEqual(accounts, [{ account: "studio", profile: "portal-v2+studio", version: 2, overrideVersion: 1 }]);
+  });
+
+  test("keeps the active profiles when a reload fails", async () => {
+    write("broken.json", { name: "broken", version: 1, selectors: { capacityInput: "#x" } });
+    await assert.rejects(reloadProfiles(), /missing/);
+    assert.equal((await getProfile("studio")).selectors.capacityInput, "#capacity");
+
+    write("broken.json", "{ not json");
+    await assert.rejects(reloadProfiles(), /broken\.json/);
+    rmSync(path.join(dir, "broken.json"));
+    await reloadProfiles();
+  });
+});
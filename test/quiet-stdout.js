@@ -0,0 +1,6 @@
+// test/quiet-stdout.js — import first in test files whose code under test logs
+//
+// Log lines go to stdout, which node:test also uses for its own protocol: keep them out unless
+// E2E_VERBOSE is set (then they go to stderr).
+
+console.log = (...a) => process.env.E2E_VERBOSE && console.error(...a);
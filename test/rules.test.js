@@ -0,0 +1,98 @@
+// test/rules.test.js — rule expansion and scheduler catch-up (no browser needed)
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), "fitpass-rules-"));
+process.env.DATA_DIR = dataDir;
+process.env.RULES_TICK_MS = "0";
+const rules = await import("../rules.js");
+const { getJob, waitForJob } = await import("../jobs.js");
+
+const at = (y, m, d, h = 0, mi = 0) => new Date(y, m - 1, d, h, mi).getTime();
+
+describe("recurring rules", () => {
+  let rule;
+
+  before(async () => {
+    rule = await rules.createRule({
+      account: "studio",
+      days: ["Monday", "wed"],
+      time: "7:00",
+      targetName: "Ponte Reformer",
+      newCapacity: 12,
+      daysAhead: 7,
+      runAt: "06:00"
+    });
+  });
+
+  after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+  test("normalizes days and times", () => {
+    assert.deepEqual(rule.days, ["mon", "wed"]);
+    assert.equal(rule.time, "07:00");
+    assert.equal(rule.enabled, true);
+  });
+
+  test("rejects invalid rules", async () => {
+    await assert.rejects(rules.createRule({ ...rule, days: ["funday"] }), { code: "INVALID_RULE" });
+    await assert.rejects(rules.createRule({ ...rule, account: undefined }), { code: "INVALID_RULE" });
+  });
+
+  test("fires daysAhead before each matching class", () => {
+    // 2030-01-07 is a Monday → fires 2029-12-31 06:00; Wednesday 2030-01-09 → 2030-01-02
+    const occ = rules.occurrences(rule, at(2029, 12, 30), at(2030, 1, 6, 23));
+    assert.deepEqual(
+      occ.map((o) => [o.targetDate, new Date(o.fireAt).getTime()]),
+      [
+        ["2030-01-07", at(2029, 12, 31, 6)],
+        ["2030-01-09", at(2030, 1, 2, 6)]
+      ]
+    );
+  });
+
+  test("catches up after downtime and records classes that already started as missed", async () => {
+    const today = new Date();
+    const noon = at(today.getFullYear(), today.getMonth() + 1, today.getDate(), 12);
+    await rules.updateRule(rule.id, { daysAhead: 0, time: "13:00", days: [0, 1, 2, 3, 4, 5, 6] });
+    // Pretend the server was down for three days
+    const file = path.join(dataDir, "rules.json");
+    const stored = JSON.parse(readFileSync(file, "utf8"));
+    stored[0].checkedUntil = new Date(noon - 3 * 24 * 60 * 60 * 1000).toISOString();
+    writeFileSync(file, JSON.stringify(stored));
+
+    const fired = await rules.runDueRules(noon);
+    assert.deepEqual(
+      fired.map((f) => f.state),
+      ["missed", "missed", "queued"]
+    );
+    assert.ok(fired[2].catchUp);
+
+    // Nothing fires twice
+    assert.deepEqual(await rules.runDueRules(noon), []);
+
+    // The queued run fails (the account was never stored) and its outcome lands in the history
+    assert.ok(await waitForJob(getJob(fired[2].jobId), 10000));
+    const [latest] = await rules.getRuleHistory(rule.id);
+    assert.equal(latest.jobId, fired[2].jobId);
+    assert.equal(latest.state, "failed");
+    assert.match(latest.error, /Unknown account "studio"/);
+  });
+
+  test("closes runs that were queued before a restart as INTERRUPTED", async () => {
+    const file = path.join(dataDir, "rules.json");
+    const stored = JSON.parse(readFileSync(file, "utf8"));
+    stored[0].history.push({ targetDate: "2030-01-07", targetTime: "07:00", state: "queued", jobId: "from-last-process" });
+    writeFileSync(file, JSON.stringify(stored));
+
+    const closed = await rules.reconcileInterruptedRuns();
+    assert.deepEqual(closed.map((c) => [c.jobId, c.state, c.code]), [["from-last-process", "failed", "INTERRUPTED"]]);
+    const [latest, previous] = await rules.getRuleHistory(rule.id);
+    assert.equal(latest.code, "INTERRUPTED");
+    assert.equal(previous.code, "UNKNOWN_ACCOUNT", "finished runs are left alone");
+    assert.deepEqual(await rules.reconcileInterruptedRuns(), []);
+  });
+});
@@ -0,0 +1,72 @@
+// test/webhook-receiver.js — local endpoint for callbackUrl webhooks: checks each delivery's
+// signature and keeps what it got. Used by the tests; run standalone to try webhooks by hand:
+//
+//   WEBHOOK_SECRET=s3cret PORT=4100 npm run webhook-receiver
+//   curl ... -d '{ ..., "callbackUrl": "http://127.0.0.1:4100/hook" }'
+
+import express from "express";
+import { pathToFileURL } from "node:url";
+import { verifySignature } from "../webhooks.js";
+
+// failNext(n, status): the next n deliveries are answered with `status` (default 500).
+export async function startWebhookReceiver({ port = 0, secret = process.env.WEBHOOK_SECRET || "", onDelivery = () => {} } = {}) {
+  const received = []; // { id, event, timestamp, verified, status, payload }
+  const waiters = [];
+  let failing = { left: 0, status: 500 };
+
+  const app = express();
+  app.post("/hook", express.text({ type: "*/*", limit: "5mb" }), (req, res) => {
+    const timestamp = req.get("x-fitpass-timestamp");
+    const verified = verifySignature(req.body, timestamp, req.get("x-fitpass-signature"), secret, { maxAgeSec: 300 });
+    const status = failing.left > 0 ? (failing.left--, failing.status) : verified ? 204 : 401;
+    let payload = null;
+    try {
+      payload = JSON.parse(req.body);
+    } catch {
+      // kept as null: the sender promised JSON
+    }
+    const entry = { id: req.get("x-fitpass-delivery"), event: req.get("x-fitpass-event"), timestamp, verified, status, payload };
+    received.push(entry);
+    onDelivery(entry);
+    res.status(status).end();
+    for (const w of waiters.splice(0)) w();
+  });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(port, "127.0.0.1", () => resolve(s));
+  });
+
+  // Resolves with the deliveries so far once `count` have arrived (or rejects after `ms`).
+  const waitFor = (count, ms = 10000) =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Only ${received.length}/${count} deliveries within ${ms}ms`)), ms);
+      const check = () => {
+        if (received.length >= count) {
+          clearTimeout(timer);
+          return resolve(received);
+        }
+        waiters.push(check);
+      };
+      check();
+    });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    waitFor,
+    failNext: (n = 1, status = 500) => (failing = { left: n, status }),
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// ---------- Standalone ----------
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const receiver = await startWebhookReceiver({
+    port: Number(process.env.PORT || 4100),
+    onDelivery: (r) => {
+      console.log(`${r.verified ? "✅ signed" : "❌ bad signature"} ${r.event} ${r.id} → ${r.status}`);
+      console.log(JSON.stringify(r.payload, null, 2));
+    }
+  });
+  console.log(`🪝 Webhook receiver on ${receiver.url}${process.env.WEBHOOK_SECRET ? "" : " (no WEBHOOK_SECRET: nothing verifies)"}`);
+}
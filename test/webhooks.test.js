@@ -0,0 +1,154 @@
+// test/webhooks.test.js — signed job callbacks: delivery, retries with backoff and the delivery log
+
+import "./quiet-stdout.js";
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const SECRET = "test-webhook-secret";
+const dataDir = mkdtempSync(path.join(os.tmpdir(), "fitpass-webhooks-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  WEBHOOK_SECRET: SECRET,
+  WEBHOOK_ALLOWED_HOSTS: "127.0.0.1", // the local receiver
+  WEBHOOK_MAX_ATTEMPTS: "3",
+  WEBHOOK_BACKOFF_MS: "20"
+});
+const { callbackUrlError, getDelivery, listDeliveries, queueDelivery, sign, verifySignature } = await import("../webhooks.js");
+const { startWebhookReceiver } = await import("./webhook-receiver.js");
+const receiver = await startWebhookReceiver({ secret: SECRET });
+
+let seq = 0;
+const finishedJob = (result) => ({
+  id: `job-${++seq}`,
+  type: "run",
+  state: result.ok ? "succeeded" : "failed",
+  input: { account: "studio", keyId: "bootstrap", targetDate: "2030-01-07" },
+  result,
+  steps: [{ label: "Open login", state: "ok", ms: 120, startedAt: "2030-01-01T10:00:00.100Z" }],
+  callbackUrl: receiver.url,
+  createdAt: "2030-01-01T10:00:00.000Z",
+  startedAt: "2030-01-01T10:00:00.100Z",
+  finishedAt: "2030-01-01T10:00:03.600Z"
+});
+
+// The receiver answers before the attempt is written down; poll the log until it settles.
+async function settled(id) {
+  for (let i = 0; i < 100; i++) {
+    const d = await getDelivery(id);
+    if (d.state !== "pending") return d;
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  throw new Error(`Delivery ${id} is still pending`);
+}
+
+describe("webhooks", () => {
+  after(async () => {
+    await receiver.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test("POSTs the finished job with its code and timings, signed", async () => {
+    const queued = await queueDelivery(finishedJob({ ok: false, error: "No matching event", code: "NO_MATCH", attempts: 1 }));
+    assert.equal(queued.state, "pending");
+    const [got] = await receiver.waitFor(1);
+    assert.equal(got.verified, true);
+    assert.equal(got.id, queued.id);
+    assert.equal(got.event, "job.finished");
+    assert.equal(got.payload.jobId, queued.jobId);
+    assert.equal(got.payload.code, "NO_MATCH");
+    assert.deepEqual(got.payload.timings, {
+      createdAt: "2030-01-01T10:00:00.000Z",
+      startedAt: "2030-01-01T10:00:00.100Z",
+      finishedAt: "2030-01-01T10:00:03.600Z",
+      queueMs: 100,
+      runMs: 3500
+    });
+    assert.deepEqual(got.payload.steps, [{ label: "Open login", state: "ok", ms: 120 }]);
+
+    const delivery = await settled(queued.id);
+    assert.equal(delivery.state, "delivered");
+    assert.equal(delivery.attempts.length, 1);
+    assert.equal(delivery.attempts[0].status, 204);
+    assert.equal(delivery.payload.result.code, "NO_MATCH");
+  });
+
+  test("retries 5xx answers with backoff and gives up on a 4xx or after the last attempt", async () => {
+    receiver.failNext(2, 503);
+    const retried = await settled((await queueDelivery(finishedJob({ ok: true, message: "done" }))).id);
+    assert.equal(retried.state, "delivered");
+    assert.deepEqual(retried.attempts.map((a) => a.status), [503, 503, 204]);
+
+    receiver.failNext(1, 410);
+    const rejected = await settled((await queueDelivery(finishedJob({ ok: true }))).id);
+    assert.equal(rejected.state, "failed");
+    assert.equal(rejected.attempts.length, 1);
+
+    receiver.failNext(3, 500);
+    const exhausted = await settled((await queueDelivery(finishedJob({ ok: true }))).id);
+    assert.equal(exhausted.state, "failed");
+    assert.deepEqual(exhausted.attempts.map((a) => a.status), [500, 500, 500]);
+
+    const failed = await listDeliveries({ state: "failed" });
+    assert.deepEqual(failed.map((d) => d.id), [exhausted.id, rejected.id]);
+    assert.equal(failed[0].body, undefined, "the list leaves out the body");
+    assert.equal((await listDeliveries({ accounts: ["other"] })).length, 0);
+  });
+
+  test("signatures cover the timestamp and the exact body", () => {
+    const body = JSON.stringify({ ok: true });
+    const ts = String(Math.floor(Date.now() / 1000));
+    const sig = sign(body, ts, SECRET);
+    assert.equal(verifySignature(body, ts, sig, SECRET, { maxAgeSec: 300 }), true);
+    assert.equal(verifySignature(body + " ", ts, sig, SECRET), false);
+    assert.equal(verifySignature(body, ts, sig, "other-secret"), false);
+    assert.equal(verifySignature(body, ts, sig, SECRET, { maxAgeSec: 300, now: Date.now() + 3600_000 }), false);
+  });
+
+  test("accepts only http(s) callback URLs", async () => {
+    assert.equal(await callbackUrlError("https://93.184.215.14/hook"), null);
+    assert.equal(await callbackUrlError(receiver.url), null, "allow-listed");
+    assert.match(await callbackUrlError("ftp://example.com"), /http\(s\)/);
+    assert.match(await callbackUrlError("not a url"), /http\(s\)/);
+  });
+
+  test("refuses callback URLs that resolve to internal addresses", async () => {
+    for (const url of [
+      "http://localhost:4100/hook",
+      "http://127.0.0.2/hook",
+      "http://10.0.0.5/hook",
+      "http://172.20.1.1/hook",
+      "http://192.168.1.10/hook",
+      "http://169.254.169.254/latest/meta-data/",
+      "http://0.0.0.0/hook",
+      "http://[::1]/hook",
+      "http://[fd00::1]/hook",
+      "http://[::ffff:169.254.169.254]/hook",
+      "http://[64:ff9b::7f00:1]/hook"
+    ]) {
+      assert.match(await callbackUrlError(url), /public address/, url);
+    }
+    assert.match(await callbackUrlError("https://no-such-host.invalid/hook"), /could not be resolved/);
+  });
+
+  test("fails a delivery whose host is internal without retrying", async () => {
+    const queued = await queueDelivery({ ...finishedJob({ ok: true }), callbackUrl: "http://169.254.169.254/hook" });
+    const d = await settled(queued.id);
+    assert.equal(d.state, "failed");
+    assert.equal(d.attempts.length, 1);
+    assert.match(d.attempts[0].error, /public address/);
+  });
+
+  test("checks the address the delivery connects to, not only the one seen at validation", async () => {
+    // "localhost" is a name, so only the socket's own lookup sees it resolve to loopback
+    const before = receiver.received.length;
+    const url = receiver.url.replace("127.0.0.1", "localhost");
+    const d = await settled((await queueDelivery({ ...finishedJob({ ok: true }), callbackUrl: url })).id);
+    assert.equal(d.state, "failed");
+    assert.equal(d.attempts.length, 1);
+    assert.match(d.attempts[0].error, /localhost is (127\.0\.0\.1|::1)/);
+    assert.equal(receiver.received.length, before, "nothing reached the receiver");
+  });
+});
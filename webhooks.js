@@ -0,0 +1,333 @@
+// webhooks.js — signed completion callbacks for jobs, with retries and a delivery log
+//
+// A job enqueued with a `callbackUrl` POSTs a "job.finished" payload there once it ends. The raw
+// body is signed with WEBHOOK_SECRET: X-Fitpass-Signature is "sha256=" + HMAC-SHA256 of
+// "<X-Fitpass-Timestamp>.<body>", so receivers can check both integrity and age. Network errors,
+// 5xx, 408 and 429 answers are retried with backoff; other 4xx answers are final. Every attempt
+// is kept in WEBHOOKS_FILE, and pending deliveries resume after a restart. Callbacks only go to
+// public addresses (checked after DNS resolution when the request comes in, and on the addresses
+// each delivery actually connects to), unless the host is listed in WEBHOOK_ALLOWED_HOSTS.
+
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+import { lookup as dnsLookup } from "node:dns";
+import { lookup } from "node:dns/promises";
+import { request as httpRequest } from "node:http";
+import { request as httpsRequest } from "node:https";
+import { BlockList, isIP, isIPv6 } from "node:net";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { log, logError, logWarn } from "./log.js";
+import { counter } from "./metrics.js";
+
+// ---------- Config ----------
+const WEBHOOKS_FILE = path.resolve(
+  process.env.WEBHOOKS_FILE || path.join(process.env.DATA_DIR || "data", "webhooks.json")
+);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "";
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6));
+const WEBHOOK_BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_MS || 10000); // doubles after each attempt
+const WEBHOOK_BACKOFF_MAX_MS = Number(process.env.WEBHOOK_BACKOFF_MAX_MS || 10 * 60 * 1000);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_LOG_LIMIT = Number(process.env.WEBHOOK_LOG_LIMIT || 1000); // finished deliveries kept
+// Host names or IPs (comma-separated) that may receive callbacks even on a private address
+const WEBHOOK_ALLOWED_HOSTS = new Set(
+  (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const deliveriesTotal = counter("fitpass_webhook_deliveries_total", "Webhook delivery attempts by outcome.");
+
+// ---------- Signing ----------
+export const sign = (body, timestamp, secret = WEBHOOK_SECRET) =>
+  "sha256=" + createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// For receivers (and tests): constant-time check of X-Fitpass-Signature, optionally rejecting
+// timestamps older than maxAgeSec.
+export function verifySignature(body, timestamp, signature, secret, { maxAgeSec = 0, now = Date.now() } = {}) {
+  if (!signature || !timestamp) return false;
+  if (maxAgeSec && Math.abs(now / 1000 - Number(timestamp)) > maxAgeSec) return false;
+  const want = Buffer.from(sign(body, timestamp, secret));
+  const got = Buffer.from(String(signature));
+  return want.length === got.length && timingSafeEqual(want, got);
+}
+
+// ---------- Destinations ----------
+// Loopback, private, link-local (cloud metadata), CGNAT, NAT64, multicast and reserved ranges: a caller
+// must not be able to make the server POST to itself or to the network it runs in.
+const PRIVATE = new BlockList();
+for (const [subnet, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3]
+]) {
+  PRIVATE.addSubnet(subnet, bits, "ipv4");
+}
+for (const [subnet, bits] of [
+  ["::", 127],
+  ["64:ff9b::", 96], // NAT64: the last 32 bits are an IPv4 address
+  ["64:ff9b:1::", 48],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  PRIVATE.addSubnet(subnet, bits, "ipv6");
+}
+
+const isPrivate = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)?.[1]; // IPv4-mapped IPv6
+  if (mapped) return PRIVATE.check(mapped, "ipv4");
+  return PRIVATE.check(address, isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+// Why `host` may not receive callbacks on `addresses` ([{ address }]), or null.
+function internalAddress(host, addresses) {
+  if (WEBHOOK_ALLOWED_HOSTS.has(host)) return null;
+  const internal = addresses.find((a) => isPrivate(a.address));
+  return internal
+    ? `callbackUrl must point to a public address (${host} is ${internal.address}); list internal receivers in WEBHOOK_ALLOWED_HOSTS.`
+    : null;
+}
+
+// Why `url` may not receive callbacks, or null. Throws when the host doesn't resolve.
+async function blockedDestination(url) {
+  const host = hostOf(url);
+  if (WEBHOOK_ALLOWED_HOSTS.has(host)) return null;
+  return internalAddress(host, isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true }));
+}
+
+const blockedError = (message) => Object.assign(new Error(message), { blocked: true });
+
+// POSTs and resolves to the answer's status. The socket's own DNS lookup is checked, so the
+// connection goes to an address that passed: a host can't be validated and then re-resolve to an
+// internal one (DNS rebinding). Host header and TLS name stay the URL's.
+function post(url, body, headers) {
+  const target = new URL(url);
+  const host = hostOf(url);
+  if (isIP(host)) {
+    const reason = internalAddress(host, [{ address: host }]);
+    if (reason) return Promise.reject(blockedError(reason));
+  }
+  const guardedLookup = (hostname, options, callback) =>
+    dnsLookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+      if (err) return callback(err);
+      const reason = internalAddress(host, addresses);
+      if (reason) return callback(blockedError(reason));
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  const request = target.protocol === "https:" ? httpsRequest : httpRequest;
+  return new Promise((resolve, reject) => {
+    const req = request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "content-length": Buffer.byteLength(body) },
+        lookup: guardedLookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      },
+      (res) => {
+        res.on("error", reject);
+        res.on("end", () => resolve(res.statusCode));
+        res.resume();
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// ---------- Validation ----------
+// Resolves to the error message for a request's callbackUrl, or null when it can be used.
+export async function callbackUrlError(url) {
+  if (typeof url !== "string" || !url) return "callbackUrl must be an http(s) URL.";
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "callbackUrl must be an http(s) URL.";
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return "callbackUrl must be an http(s) URL.";
+  if (!WEBHOOK_SECRET) return "Webhooks are disabled: set WEBHOOK_SECRET to sign callbacks.";
+  try {
+    return await blockedDestination(url);
+  } catch {
+    return `callbackUrl host "${parsed.hostname}" could not be resolved.`;
+  }
+}
+
+// ---------- Store ----------
+async function readStore() {
+  try {
+    return JSON.parse(await fs.readFile(WEBHOOKS_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function writeStore(deliveries) {
+  await fs.mkdir(path.dirname(WEBHOOKS_FILE), { recursive: true });
+  const tmp = WEBHOOKS_FILE + ".tmp";
+  await fs.writeFile(tmp, JSON.stringify(deliveries, null, 2));
+  await fs.rename(tmp, WEBHOOKS_FILE);
+}
+
+// Read-modify-write cycles run one at a time (new jobs, attempts finishing).
+let chain = Promise.resolve();
+function mutate(fn) {
+  const next = chain.then(async () => {
+    const deliveries = await readStore();
+    const out = await fn(deliveries);
+    const finished = deliveries.filter((d) => d.state !== "pending");
+    const drop = new Set(finished.slice(0, Math.max(0, finished.length - WEBHOOK_LOG_LIMIT)));
+    await writeStore(deliveries.filter((d) => !drop.has(d)));
+    return out;
+  });
+  chain = next.catch(() => {});
+  return next;
+}
+
+// The list view leaves out the (possibly large) signed body.
+const summary = ({ body, ...d }) => d;
+
+// ---------- Payload ----------
+const ms = (from, to) => (from && to ? Date.parse(to) - Date.parse(from) : null);
+
+function payloadOf(job) {
+  const { id, type, state, input, result, steps, createdAt, startedAt, finishedAt } = job;
+  return {
+    event: "job.finished",
+    jobId: id,
+    type,
+    state,
+    ok: !!result?.ok,
+    code: result?.ok ? null : result?.code || null,
+    error: result?.ok ? null : result?.error || null,
+    input,
+    result,
+    timings: { createdAt, startedAt, finishedAt, queueMs: ms(createdAt, startedAt), runMs: ms(startedAt, finishedAt) },
+    steps: steps.map(({ label, state, ms }) => ({ label, state, ms }))
+  };
+}
+
+// ---------- Delivery ----------
+const timers = new Map(); // delivery id → retry timer
+const backoffMs = (attempt) => Math.min(WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1), WEBHOOK_BACKOFF_MAX_MS);
+const retryable = (status) => status == null || status >= 500 || status === 408 || status === 429;
+
+function schedule(id, at) {
+  clearTimeout(timers.get(id));
+  const timer = setTimeout(() => {
+    timers.delete(id);
+    attempt(id).catch((err) => logError(`[WEBHOOK] Delivery ${id} failed to run:`, err));
+  }, Math.max(0, Date.parse(at) - Date.now()));
+  timer.unref();
+  timers.set(id, timer);
+}
+
+async function attempt(id) {
+  const delivery = (await readStore()).find((d) => d.id === id);
+  if (!delivery || delivery.state !== "pending") return;
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const started = Date.now();
+  let status = null;
+  let error = null;
+  let blocked = false;
+  try {
+    status = await post(delivery.url, delivery.body, {
+      "content-type": "application/json",
+      "user-agent": "fitpass-railway-webhooks",
+      "x-fitpass-event": delivery.event,
+      "x-fitpass-delivery": delivery.id,
+      "x-fitpass-timestamp": timestamp,
+      "x-fitpass-signature": sign(delivery.body, timestamp)
+    });
+  } catch (err) {
+    error = err?.message || String(err);
+    blocked = !!err?.blocked; // the host now points inside the network: retrying won't help
+  }
+  const ok = status >= 200 && status < 300;
+
+  const updated = await mutate((deliveries) => {
+    const d = deliveries.find((x) => x.id === id);
+    if (!d || d.state !== "pending") return null;
+    d.attempts.push({ at: new Date(started).toISOString(), status, error, ms: Date.now() - started });
+    if (ok) {
+      Object.assign(d, { state: "delivered", deliveredAt: new Date().toISOString(), nextAttemptAt: null });
+    } else if (!blocked && retryable(status) && d.attempts.length < WEBHOOK_MAX_ATTEMPTS) {
+      d.nextAttemptAt = new Date(Date.now() + backoffMs(d.attempts.length)).toISOString();
+    } else {
+      Object.assign(d, { state: "failed", nextAttemptAt: null });
+    }
+    return { ...d };
+  });
+  if (!updated) return;
+
+  deliveriesTotal.inc({ outcome: ok ? "delivered" : updated.state === "failed" ? "failed" : "retry" });
+  const what = `[WEBHOOK] ${updated.id} job ${updated.jobId} → ${updated.url}: ${status ?? error}`;
+  if (ok) log(what, { deliveryId: updated.id, status });
+  else if (updated.state === "pending") {
+    logWarn(`${what}; retry ${updated.attempts.length + 1}/${WEBHOOK_MAX_ATTEMPTS} at ${updated.nextAttemptAt}`, {
+      deliveryId: updated.id,
+      status
+    });
+    schedule(updated.id, updated.nextAttemptAt);
+  } else logError(`${what}; giving up after ${updated.attempts.length} attempt(s)`, { deliveryId: updated.id, status });
+}
+
+// ---------- Public API ----------
+// Records a delivery for a finished job and sends it right away; resolves to its summary.
+export async function queueDelivery(job) {
+  const delivery = {
+    id: randomUUID(),
+    jobId: job.id,
+    event: "job.finished",
+    url: job.callbackUrl,
+    account: job.input?.account || null,
+    keyId: job.input?.keyId || null,
+    state: "pending",
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date().toISOString(),
+    deliveredAt: null,
+    body: JSON.stringify(payloadOf(job))
+  };
+  await mutate((deliveries) => deliveries.push(delivery));
+  schedule(delivery.id, delivery.nextAttemptAt);
+  return summary(delivery);
+}
+
+// Newest first. `accounts` (a restricted API key's list) hides other accounts' deliveries.
+export async function listDeliveries({ jobId, state, accounts = [], limit = 100 } = {}) {
+  return (await readStore())
+    .filter((d) => !jobId || d.jobId === jobId)
+    .filter((d) => !state || d.state === state)
+    .filter((d) => !accounts.length || accounts.includes(d.account))
+    .reverse()
+    .slice(0, limit)
+    .map(summary);
+}
+
+export async function getDelivery(id) {
+  const d = (await readStore()).find((x) => x.id === id);
+  return d ? { ...summary(d), payload: JSON.parse(d.body) } : null;
+}
+
+// Pending deliveries from before a restart pick up where they left off.
+export async function startWebhookRetries() {
+  const pending = (await readStore()).filter((d) => d.state === "pending");
+  for (const d of pending) schedule(d.id, d.nextAttemptAt || new Date().toISOString());
+  if (pending.length) log(`[WEBHOOK] Resuming ${pending.length} pending deliveries`);
+}